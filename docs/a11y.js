@@ -0,0 +1,184 @@
+/*
+  FILE: a11y.js
+  GROUP: Accessibility / Announcements, reduced motion, hold-to-click (headless, no DOM)
+
+  Notes:
+  - Réglages d'accessibilité de cette machine (localStorage A11Y_KEY, comme la langue) :
+    { motion: 'auto' | 'reduce' | 'full', holdToClick, bonusWindow (1, 2 ou 3), announceScore }.
+    'auto' suit la préférence du système (prefers-reduced-motion).
+  - `createAnnouncer(opts)` limite ce qui est lu par les lecteurs d'écran (zones aria-live de
+    index.html) : un événement (succès, bonus, palier, message) au plus toutes les EVENT_GAP_MS,
+    file courte où les doublons sont ignorés et les plus anciens abandonnés ; le score au plus
+    toutes les SCORE_GAP_MS, seulement la dernière valeur et seulement si elle a changé.
+  - `createHoldRepeater(opts)` répète le clic tant qu'un bouton / une touche reste enfoncé, à
+    HOLD.cps au plus, quel que soit le nombre d'entrées tenues en même temps.
+  - Équité : HOLD.cps reste sous l'objectif CPS le plus facile du défi du jour (engine.js
+    DAILY_TYPES.cps.min = 6) et loin de la limite du vérificateur (clicklog.js MAX_CPS) ;
+    une fenêtre de bonus plus longue ne change ni le gain ni le nombre de bonus (l'attente
+    avant le suivant ne commence qu'à la fin de la fenêtre).
+  - SAFE TO EDIT: EVENT_GAP_MS, SCORE_GAP_MS, MAX_QUEUE, HOLD.delayMs.
+  - CAUTION: ne pas monter HOLD.cps au-dessus de 5 (voir Équité).
+*/
+(function (root) {
+  'use strict';
+
+  const A11Y_KEY = 'a11y'; // localStorage key of the settings
+
+  const MOTIONS = ['auto', 'reduce', 'full'];
+  const BONUS_WINDOWS = [1, 2, 3]; // factors of the random event lifetimes (engine.js EVENTS)
+
+  const DEFAULT_SETTINGS = { motion: 'auto', holdToClick: false, bonusWindow: 1, announceScore: true };
+
+  const EVENT_GAP_MS = 1500;  // minimum time between two events read
+  const SCORE_GAP_MS = 10000; // minimum time between two scores read
+  const MAX_QUEUE = 4;        // events waiting past this: the oldest are dropped
+
+  // Hold-to-click: first repeat after delayMs, then cps clicks per second at most
+  const HOLD = { delayMs: 400, cps: 5 };
+
+  // Settings from anything (saved JSON, partial object): unknown or invalid values get the default
+  function normalizeSettings(raw) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    return {
+      motion: MOTIONS.includes(src.motion) ? src.motion : DEFAULT_SETTINGS.motion,
+      holdToClick: typeof src.holdToClick === 'boolean' ? src.holdToClick : DEFAULT_SETTINGS.holdToClick,
+      bonusWindow: BONUS_WINDOWS.includes(src.bonusWindow) ? src.bonusWindow : DEFAULT_SETTINGS.bonusWindow,
+      announceScore: typeof src.announceScore === 'boolean' ? src.announceScore : DEFAULT_SETTINGS.announceScore,
+    };
+  }
+
+  function parseSettings(json) {
+    try { return normalizeSettings(JSON.parse(json)); } catch (e) { return normalizeSettings(null); }
+  }
+
+  // Is motion reduced? systemPrefersReduce: result of the prefers-reduced-motion media query
+  function motionReduced(settings, systemPrefersReduce) {
+    if (settings.motion === 'reduce') return true;
+    if (settings.motion === 'full') return false;
+    return !!systemPrefersReduce;
+  }
+
+  // How long a bonus stays claimable
+  function bonusWindowMs(baseMs, settings) {
+    return baseMs * (settings && BONUS_WINDOWS.includes(settings.bonusWindow) ? settings.bonusWindow : 1);
+  }
+
+  /*
+   --- Announcer ---
+   opts: { write(text, channel), now, setTimeout, clearTimeout, eventGapMs, scoreGapMs, maxQueue }
+   channel: 'events' (assertive region) or 'score' (polite region).
+  */
+  function createAnnouncer(opts = {}) {
+    const write = opts.write || (() => { });
+    const now = opts.now || Date.now;
+    const later = opts.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    const cancel = opts.clearTimeout || (id => clearTimeout(id));
+    const eventGap = opts.eventGapMs || EVENT_GAP_MS;
+    const scoreGap = opts.scoreGapMs || SCORE_GAP_MS;
+    const maxQueue = opts.maxQueue || MAX_QUEUE;
+
+    const queue = [];
+    let pendingScore = null;
+    let lastScore = null;
+    let lastEventAt = -Infinity;
+    let lastScoreAt = -Infinity;
+    let timer = null;
+
+    // Writes what is due, then waits for the next one
+    function pump() {
+      if (timer !== null) { cancel(timer); timer = null; }
+      const t = now();
+      if (queue.length && t - lastEventAt >= eventGap) {
+        lastEventAt = t;
+        write(queue.shift(), 'events');
+      }
+      if (pendingScore !== null && t - lastScoreAt >= scoreGap) {
+        lastScoreAt = t;
+        lastScore = pendingScore;
+        pendingScore = null;
+        write(lastScore, 'score');
+      }
+
+      let wait = Infinity;
+      if (queue.length) wait = lastEventAt + eventGap - t;
+      if (pendingScore !== null) wait = Math.min(wait, lastScoreAt + scoreGap - t);
+      if (wait !== Infinity) timer = later(pump, Math.max(0, wait));
+    }
+
+    function event(text) {
+      if (!text || queue.includes(text)) return;
+      queue.push(text);
+      while (queue.length > maxQueue) queue.shift();
+      pump();
+    }
+
+    // Called on every UI refresh: only the latest value is kept until it is due
+    function score(text) {
+      if (text === lastScore) { pendingScore = null; return; }
+      pendingScore = text;
+      if (timer === null) pump();
+    }
+
+    function clear() {
+      queue.length = 0;
+      pendingScore = null;
+      if (timer !== null) { cancel(timer); timer = null; }
+    }
+
+    return { event, score, clear };
+  }
+
+  /*
+   --- Hold-to-click ---
+   opts: { onRepeat(), cps, delayMs, setTimeout, clearTimeout }
+   start(source) / stop(source): source names the input held ('pointer', 'key', 'pad'...);
+   repeats run while at least one is held. cps is capped at HOLD.cps.
+  */
+  function createHoldRepeater(opts = {}) {
+    const onRepeat = opts.onRepeat || (() => { });
+    const later = opts.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    const cancel = opts.clearTimeout || (id => clearTimeout(id));
+    const cps = Math.min(opts.cps || HOLD.cps, HOLD.cps);
+    const delayMs = opts.delayMs || HOLD.delayMs;
+    const held = new Set();
+    let timer = null;
+
+    function tick() {
+      timer = later(tick, 1000 / cps);
+      onRepeat();
+    }
+
+    function start(source = 'default') {
+      held.add(source);
+      if (timer === null) timer = later(tick, delayMs);
+    }
+
+    function stop(source) {
+      if (source === undefined) held.clear();
+      else held.delete(source);
+      if (held.size || timer === null) return;
+      cancel(timer);
+      timer = null;
+    }
+
+    return { start, stop, active: () => held.size > 0 };
+  }
+
+  const PikaA11y = {
+    A11Y_KEY,
+    MOTIONS,
+    BONUS_WINDOWS,
+    DEFAULT_SETTINGS,
+    HOLD,
+    normalizeSettings,
+    parseSettings,
+    motionReduced,
+    bonusWindowMs,
+    createAnnouncer,
+    createHoldRepeater,
+  };
+
+  // Browser: global `PikaA11y` / Node: require('./a11y.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaA11y;
+  else root.PikaA11y = PikaA11y;
+})(typeof window !== 'undefined' ? window : globalThis);
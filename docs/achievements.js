@@ -0,0 +1,131 @@
+/*
+  FILE: achievements.js
+  GROUP: Game rules / Achievement registry (headless, no DOM)
+
+  Notes:
+  - Chaque succès a un id stable, une catégorie, une icône, un objectif et une fonction
+    `progress(state)` : il se débloque dès que la progression atteint l'objectif (>=, on ne
+    rate plus un palier quand un achat ou un clic le dépasse d'un coup).
+  - Les noms et descriptions sont des clés du catalogue i18n.js : `text` (+ `params`) pour le nom,
+    `text + '.desc'` pour la description, `achievement.category.<id>` pour les catégories.
+  - `state.achievementsUnlocked` est rangé par id : { clicks_1000: 1735600000000, ... }
+    (date du déblocage en ms, 0 = date inconnue pour les succès migrés d'anciennes sauvegardes).
+  - Les succès `hidden` s'affichent "???" tant qu'ils sont verrouillés. Les succès `event`
+    n'ont pas de progression lue dans l'état : script.js les débloque avec unlock(id).
+  - SAFE TO EDIT: ajouter un succès dans ACHIEVEMENTS (et ses textes dans i18n.js), une catégorie dans CATEGORIES.
+  - CAUTION: ne jamais renommer un id, les sauvegardes en dépendent (voir aussi la migration
+    des anciens succès textuels dans save.js).
+*/
+(function (root) {
+  'use strict';
+
+  const isNode = (typeof module !== 'undefined' && module.exports);
+  const BigNum = isNode ? require('./bignum.js') : root.BigNum;
+  const PikaEngine = isNode ? require('./engine.js') : root.PikaEngine;
+
+  // Display order of the panel (labels: achievement.category.<id> in i18n.js)
+  const CATEGORIES = ['clicks', 'score', 'upgrades', 'prestige', 'modes', 'secret'];
+
+  // One achievement per threshold of the same counter: `${prefix}_${n}`, named by `achievement.${prefix}`
+  function tiers(prefix, category, icon, thresholds, progress) {
+    return thresholds.map(n => ({
+      id: `${prefix}_${n}`, category, icon, text: `achievement.${prefix}`, params: { count: n }, goal: n, progress,
+    }));
+  }
+
+  // Achievement without tiers, named by `achievement.${id}` (+ '.desc')
+  function single(id, category, icon, def) {
+    return Object.assign({ id, category, icon, text: `achievement.${id}`, desc: true }, def);
+  }
+
+  // Score as a plain number for progress bars (capped: only compared with goals up to 1e12)
+  function scoreOf(s) {
+    return Math.min(1e15, BigNum.from(s.score || 0).toNumber());
+  }
+
+  function timedRuns(s) {
+    return PikaEngine.TIMED_DURATIONS.filter(sec => BigNum.from(s[PikaEngine.timedBestKey(sec)] || 0).gt(0)).length;
+  }
+
+  /*
+   --- Registry ---
+   { id, category, icon, text, params?, desc?, goal, progress(state) → number, hidden?, event? }
+  */
+  const ACHIEVEMENTS = [
+    ...tiers('clicks', 'clicks', '💥', [100, 1000, 10000, 100000, 1000000, 10000000], s => s.totalClicks),
+    ...tiers('score', 'score', '💰', [1e6, 1e9, 1e12], scoreOf),
+    ...tiers('auto', 'upgrades', '⚙️', [10, 25, 50, 100, 250], s => s.autoClickers),
+    ...tiers('mult', 'upgrades', '🔥', [10, 25, 50, 100], s => s.multiplier),
+    ...tiers('crit', 'upgrades', '🎯', [5, 10, 25], s => Math.round(s.critChance * 100)),
+    ...tiers('prestige', 'prestige', '🏆', [1, 5, 10, 25], s => s.prestigeCount),
+    single('skills_10', 'prestige', '✨', { goal: 10, progress: s => s.prestigePointsTotal }),
+    single('timed_first', 'modes', '⏱️', { goal: 1, progress: s => Math.min(1, timedRuns(s)) }),
+    single('timed_all', 'modes', '⌛', { goal: PikaEngine.TIMED_DURATIONS.length, progress: timedRuns }),
+    single('daily_first', 'modes', '📅', { goal: 1, progress: s => s.dailyLastWin ? 1 : 0 }),
+    ...tiers('streak', 'modes', '🔥', [3, 7, 30], s => s.dailyBestStreak),
+    single('weekly_first', 'modes', '📆', { goal: 1, progress: s => s.weekly && s.weekly.week ? 1 : 0 }),
+    single('frenzy', 'secret', '⚡', { goal: 1, hidden: true, event: true }),
+    single('daily_speedrun', 'secret', '🚀', {
+      goal: 1, hidden: true,
+      progress: s => (s.dailyLastWin && s.daily.completedOn === s.dailyLastWin && s.daily.completedInMs < 60000) ? 1 : 0,
+    }),
+  ];
+
+  const BY_ID = {};
+  ACHIEVEMENTS.forEach(a => { BY_ID[a.id] = a; });
+
+  function getAchievement(id) {
+    return BY_ID[id] || null;
+  }
+
+  // { value, goal, done } of one achievement for a state (event achievements: 0 or goal)
+  function progressOf(def, state, unlocked = {}) {
+    const done = unlocked[def.id] !== undefined;
+    let value = def.event ? 0 : (Number(def.progress(state)) || 0);
+    if (done) value = def.goal;
+    return { value: Math.min(value, def.goal), goal: def.goal, done: done || value >= def.goal };
+  }
+
+  /*
+   Unlocks every achievement whose goal is reached (unlocked[id] = time).
+   Returns the definitions newly unlocked, in registry order.
+  */
+  function evaluate(state, unlocked, now = Date.now()) {
+    const fresh = [];
+    ACHIEVEMENTS.forEach(def => {
+      if (def.event || unlocked[def.id] !== undefined) return;
+      if (progressOf(def, state, unlocked).done) {
+        unlocked[def.id] = now;
+        fresh.push(def);
+      }
+    });
+    return fresh;
+  }
+
+  // Unlocks one achievement by id; returns its definition, or null (unknown / already unlocked)
+  function unlock(unlocked, id, now = Date.now()) {
+    const def = BY_ID[id];
+    if (!def || unlocked[id] !== undefined) return null;
+    unlocked[id] = now;
+    return def;
+  }
+
+  // Every achievement with its status for the panel: [{ def, unlockedAt, value, goal, done }]
+  function list(state, unlocked) {
+    return ACHIEVEMENTS.map(def => Object.assign({ def, unlockedAt: unlocked[def.id] }, progressOf(def, state, unlocked)));
+  }
+
+  const PikaAchievements = {
+    CATEGORIES,
+    ACHIEVEMENTS,
+    getAchievement,
+    progressOf,
+    evaluate,
+    unlock,
+    list,
+  };
+
+  // Browser: global `PikaAchievements` / Node: require('./achievements.js')
+  if (isNode) module.exports = PikaAchievements;
+  else root.PikaAchievements = PikaAchievements;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,283 @@
+/*
+  FILE: audio.js
+  GROUP: Audio / Sound engine (Web Audio, falls back to the <audio> elements)
+
+  Notes:
+  - Les sons courts (clic, critique, succès) sont décodés une fois (AudioBuffer) puis joués
+    par des voix AudioBufferSourceNode : plusieurs clics rapides se superposent sans se couper.
+  - Mixage : chaque son passe par son gain (volumes.click, .crit, .achievement) → bus "sfx"
+    (coupé par le bouton Sons) → bus "master" (volumes.master) ; la musique (<audio id="music">)
+    passe par le bus "music" (volumes.music) → master.
+  - Polyphonie limitée par son (SOUNDS[type].voices) : au-delà, la voix la plus ancienne s'arrête.
+  - Un succès baisse la musique (DUCK) le temps du jingle puis la remonte doucement.
+  - Sans Web Audio (vieux navigateur) ou tant qu'un fichier n'est pas décodé, les mêmes règles
+    s'appliquent aux éléments <audio> de la page (copies clonées pour la polyphonie).
+  - En file:// les navigateurs rendent muet un <audio> branché sur Web Audio : la musique reste
+    alors réglée par son propre volume (option routeMusic: false).
+  - Le contexte audio n'est créé qu'au premier geste du joueur (unlock / play), règle d'autoplay.
+  - SAFE TO EDIT: SOUNDS (nombre de voix), DUCK, RAMP_S.
+  - CAUTION: les types de sons sont ceux de `volumes` et de #soundTypeSelect dans script.js / index.html.
+*/
+(function (root) {
+  'use strict';
+
+  const RAMP_S = 0.03; // time constant of volume changes (no clicks in the speakers)
+
+  // Short sounds: bus and maximum voices playing at once
+  const SOUNDS = {
+    click: { bus: 'sfx', voices: 6 },
+    crit: { bus: 'sfx', voices: 3 },
+    achievement: { bus: 'sfx', voices: 1, duck: true },
+  };
+
+  // Music ducking while a jingle plays: level factor, hold time, release time constant
+  const DUCK = { gain: 0.3, holdMs: 1500, releaseS: 0.4 };
+
+  const DEFAULT_VOLUMES = { master: 1, music: 0.5, click: 0.85, crit: 0.5, achievement: 0.25 };
+
+  function clamp01(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 0;
+  }
+
+  /*
+   opts:
+     elements: { click, crit, achievement, music } <audio> elements (their src is the file to play)
+     volumes: initial levels (DEFAULT_VOLUMES keys)
+     routeMusic: false to leave the music element out of Web Audio (file://)
+     AudioContext: constructor to use (default: the browser's, null = elements only)
+  */
+  function createAudioEngine(opts = {}) {
+    const elements = opts.elements || {};
+    const volumes = Object.assign({}, DEFAULT_VOLUMES);
+    const AudioCtx = opts.AudioContext !== undefined
+      ? opts.AudioContext
+      : (root.AudioContext || root.webkitAudioContext || null);
+    const routeMusic = opts.routeMusic !== false;
+
+    const sources = {};  // type → file path
+    const decoded = {};  // path → AudioBuffer, null (failed) or undefined (loading)
+    const voices = {};   // type → voices playing, oldest first
+    const nodes = {};    // gain nodes: master, music, sfx and one per sound
+    let ctx = null;
+    let musicRouted = false;
+    let sfxOn = true;
+    let musicOn = false;
+    let duckUntil = 0;
+    let duckTimer = null;
+
+    Object.keys(SOUNDS).forEach(type => { voices[type] = []; });
+    Object.keys(elements).forEach(type => {
+      if (elements[type]) sources[type] = elements[type].getAttribute('src');
+    });
+    setVolumes(opts.volumes || {});
+
+    function musicLevel() {
+      return volumes.music * (Date.now() < duckUntil ? DUCK.gain : 1);
+    }
+
+    // Pushes the levels to the gain nodes (or to the elements without Web Audio)
+    function applyGains(timeConstant = RAMP_S) {
+      if (ctx) {
+        const set = (node, value) => {
+          node.gain.cancelScheduledValues(ctx.currentTime);
+          node.gain.setTargetAtTime(value, ctx.currentTime, timeConstant);
+        };
+        set(nodes.master, volumes.master);
+        set(nodes.music, musicLevel());
+        set(nodes.sfx, sfxOn ? 1 : 0);
+        Object.keys(SOUNDS).forEach(type => set(nodes[type], volumes[type]));
+      }
+      if (elements.music) {
+        try { elements.music.volume = musicRouted ? 1 : clamp01(volumes.master * musicLevel()); } catch (e) {}
+      }
+    }
+
+    function loadBuffer(path) {
+      if (!ctx || !path || path in decoded) return;
+      decoded[path] = undefined;
+      fetch(path)
+        .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res.arrayBuffer(); })
+        .then(data => ctx.decodeAudioData(data))
+        .then(buffer => { decoded[path] = buffer; })
+        .catch(err => {
+          decoded[path] = null; // the <audio> element plays it instead
+          console.warn(`Audio: ${path} not decoded (${err && err.message})`);
+        });
+    }
+
+    // Creates the context and the buses (first user gesture only, autoplay rules)
+    function ensureContext() {
+      if (ctx || !AudioCtx) return ctx;
+      try { ctx = new AudioCtx(); } catch (e) { return null; }
+
+      const gain = (to) => { const g = ctx.createGain(); g.connect(to); return g; };
+      nodes.master = gain(ctx.destination);
+      nodes.music = gain(nodes.master);
+      nodes.sfx = gain(nodes.master);
+      Object.keys(SOUNDS).forEach(type => { nodes[type] = gain(nodes[SOUNDS[type].bus]); });
+
+      if (routeMusic && elements.music) {
+        try {
+          ctx.createMediaElementSource(elements.music).connect(nodes.music);
+          musicRouted = true;
+        } catch (e) {}
+      }
+      applyGains(0);
+      Object.keys(SOUNDS).forEach(type => loadBuffer(sources[type]));
+      return ctx;
+    }
+
+    function resume() {
+      if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => { });
+    }
+
+    function stopVoice(v) {
+      try {
+        if (v.stop) v.stop();
+        else { v.pause(); v.currentTime = 0; }
+      } catch (e) {}
+    }
+
+    // Frees a slot for a new voice: the oldest one stops past the limit
+    function takeVoiceSlot(type) {
+      const list = voices[type];
+      while (list.length >= SOUNDS[type].voices) stopVoice(list.shift());
+      return list;
+    }
+
+    function forget(list, v) {
+      const i = list.indexOf(v);
+      if (i >= 0) list.splice(i, 1);
+    }
+
+    function playElement(type) {
+      const base = elements[type];
+      if (!base) return false;
+      const list = takeVoiceSlot(type);
+      const a = base.paused ? base : base.cloneNode();
+      try { a.volume = clamp01(volumes.master * volumes[type]); } catch (e) {}
+      try { a.currentTime = 0; } catch (e) {}
+      list.push(a);
+      a.onended = () => forget(list, a);
+      try {
+        const p = a.play();
+        if (p && typeof p.then === 'function') p.catch(() => forget(list, a));
+      } catch (e) {
+        forget(list, a);
+        return false;
+      }
+      return true;
+    }
+
+    // Lowers the music while a jingle plays, then brings it back slowly
+    function duck() {
+      duckUntil = Date.now() + DUCK.holdMs;
+      applyGains();
+      clearTimeout(duckTimer);
+      duckTimer = setTimeout(() => applyGains(DUCK.releaseS), DUCK.holdMs);
+    }
+
+    /*
+     --- Public API ---
+    */
+
+    // Call from a user gesture: creates / resumes the context and starts decoding
+    function unlock() {
+      ensureContext();
+      resume();
+    }
+
+    // Plays a short sound; returns false when it can't (unknown type, sounds off, volume 0...)
+    function play(type) {
+      const def = SOUNDS[type];
+      if (!def || !sfxOn || volumes[type] <= 0 || volumes.master <= 0) return false;
+      ensureContext();
+      resume();
+      if (def.duck) duck();
+
+      const buffer = ctx && decoded[sources[type]];
+      if (!buffer) return playElement(type);
+
+      const list = takeVoiceSlot(type);
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(nodes[type]);
+      src.onended = () => forget(list, src);
+      list.push(src);
+      src.start();
+      return true;
+    }
+
+    // Merges levels (0..1) by type: master, music, click, crit, achievement
+    function setVolumes(map) {
+      Object.keys(DEFAULT_VOLUMES).forEach(type => {
+        if (map[type] !== undefined) volumes[type] = clamp01(map[type]);
+      });
+      applyGains();
+    }
+
+    function setVolume(type, value) {
+      setVolumes({ [type]: value });
+    }
+
+    // Sound effects on/off: the sfx bus is muted and playing voices stop (levels are kept)
+    function setSfxEnabled(on) {
+      sfxOn = !!on;
+      if (!sfxOn) Object.keys(voices).forEach(type => { voices[type].splice(0).forEach(stopVoice); });
+      applyGains();
+    }
+
+    // Music on/off; returns the play() promise when starting (rejected when autoplay is blocked)
+    function setMusicEnabled(on) {
+      musicOn = !!on;
+      const m = elements.music;
+      if (!m) return null;
+      if (!musicOn) {
+        try { m.pause(); } catch (e) {}
+        return null;
+      }
+      resume();
+      try {
+        const p = m.play();
+        if (p && typeof p.then === 'function') return p;
+      } catch (e) {}
+      return null;
+    }
+
+    // Another file for a type (theme change); the music keeps playing if it was
+    function setSource(type, path) {
+      const m = elements[type];
+      if (!path || sources[type] === path) return;
+      sources[type] = path;
+      if (SOUNDS[type]) loadBuffer(path);
+      if (!m) return;
+      const wasPlaying = !m.paused;
+      m.src = path;
+      if (type === 'music' && wasPlaying && musicOn) setMusicEnabled(true);
+    }
+
+    return {
+      unlock,
+      play,
+      setVolumes,
+      setVolume,
+      setSfxEnabled,
+      setMusicEnabled,
+      setSource,
+      volumes: () => Object.assign({}, volumes),
+      usesWebAudio: () => !!ctx,
+    };
+  }
+
+  const PikaAudio = {
+    SOUNDS,
+    DUCK,
+    DEFAULT_VOLUMES,
+    createAudioEngine,
+  };
+
+  // Browser: global `PikaAudio` / Node: require('./audio.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaAudio;
+  else root.PikaAudio = PikaAudio;
+})(typeof window !== 'undefined' ? window : globalThis);
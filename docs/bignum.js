@@ -0,0 +1,225 @@
+/*
+  FILE: bignum.js
+  GROUP: Game rules / Large numbers (headless, no DOM)
+
+  Notes:
+  - Les coûts doublent à chaque achat : en fin de partie le score et les prix dépassent
+    Number.MAX_SAFE_INTEGER. `BigNum` stocke ces valeurs sous forme mantisse/exposant.
+  - En dessous de 1e15 la valeur reste un nombre JS exact (e = 0), donc les petits scores
+    ne perdent aucune précision. Au-delà : m dans [1, 10) et valeur = m × 10^e.
+  - Les objets sont immuables : `score = score.add(gain)`, jamais `score += gain`.
+  - Sauvegarde sans perte : toJSON() donne un nombre (petites valeurs, compatible avec
+    les anciennes sauvegardes) ou une chaîne "1.2345e42" ; BigNum.from() relit les deux.
+  - SAFE TO EDIT: SUFFIXES (K, M, B, T puis aa, ab, ...), nombre de décimales par défaut.
+*/
+(function (root) {
+  'use strict';
+
+  // Below this value numbers are kept exact as plain JS numbers
+  const SAFE_LIMIT = 1e15;
+  // Named suffixes for 10^3, 10^6, 10^9, 10^12; two-letter suffixes (aa, ab...) follow
+  const SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+  // Values below this are printed in full ("12 345") instead of with a suffix
+  const PLAIN_BELOW = 1e6;
+
+  class BigNum {
+    constructor(m, e) {
+      this.m = m; // mantissa (exact value when e === 0)
+      this.e = e; // power of ten
+      Object.freeze(this);
+    }
+
+    // Accepts a BigNum, a number, a "1.5e42" string or a { m, e } object (null → 0)
+    static from(x) {
+      if (x instanceof BigNum) return x;
+      if (x == null || x === '') return ZERO;
+      if (typeof x === 'number') return normalize(x, 0);
+      if (typeof x === 'string') {
+        const match = /^\s*(-?\d+(?:\.\d+)?)(?:e\+?(-?\d+))?\s*$/i.exec(x);
+        if (!match) return ZERO;
+        return normalize(Number(match[1]), match[2] ? Number(match[2]) : 0);
+      }
+      if (typeof x === 'object' && typeof x.m === 'number' && typeof x.e === 'number') {
+        return normalize(x.m, x.e);
+      }
+      return ZERO;
+    }
+
+    static max(a, b) {
+      a = BigNum.from(a); b = BigNum.from(b);
+      return a.gte(b) ? a : b;
+    }
+
+    static min(a, b) {
+      a = BigNum.from(a); b = BigNum.from(b);
+      return a.lte(b) ? a : b;
+    }
+
+    add(other) {
+      const b = BigNum.from(other);
+      if (this.e === 0 && b.e === 0) return normalize(this.m + b.m, 0);
+      const A = sci(this), B = sci(b);
+      if (A.m === 0) return b;
+      if (B.m === 0) return this;
+      const hi = A.e >= B.e ? A : B;
+      const lo = A.e >= B.e ? B : A;
+      const diff = hi.e - lo.e;
+      if (diff > 17) return normalize(hi.m, hi.e); // the smaller value is below precision
+      return normalize(hi.m + lo.m / Math.pow(10, diff), hi.e);
+    }
+
+    sub(other) {
+      const b = BigNum.from(other);
+      return this.add(new BigNum(-b.m, b.e));
+    }
+
+    mul(other) {
+      const b = BigNum.from(other);
+      if (this.e === 0 && b.e === 0) return normalize(this.m * b.m, 0);
+      const A = sci(this), B = sci(b);
+      return normalize(A.m * B.m, A.e + B.e);
+    }
+
+    div(other) {
+      const b = BigNum.from(other);
+      if (this.e === 0 && b.e === 0) return normalize(this.m / b.m, 0);
+      const A = sci(this), B = sci(b);
+      return normalize(A.m / B.m, A.e - B.e);
+    }
+
+    floor() {
+      // Above SAFE_LIMIT the mantissa has no fractional digits left
+      return this.e === 0 ? new BigNum(Math.floor(this.m), 0) : this;
+    }
+
+    // -1, 0 or 1
+    cmp(other) {
+      const b = BigNum.from(other);
+      if (this.e === 0 && b.e === 0) return Math.sign(this.m - b.m);
+      const sa = Math.sign(this.m), sb = Math.sign(b.m);
+      if (sa !== sb) return sa > sb ? 1 : -1;
+      const A = sci(this), B = sci(b);
+      if (A.e !== B.e) return (A.e > B.e ? 1 : -1) * sa;
+      return Math.sign(A.m - B.m);
+    }
+
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+    eq(other) { return this.cmp(other) === 0; }
+    isZero() { return this.m === 0; }
+
+    // Base-10 logarithm (works past the Number range; -Infinity for 0)
+    log10() {
+      const { m, e } = sci(this);
+      return Math.log10(m) + e;
+    }
+
+    // Plain JS number (Infinity past ~1.8e308): only for display ratios, never for saves
+    toNumber() {
+      return this.e === 0 ? this.m : this.m * Math.pow(10, this.e);
+    }
+
+    toString() {
+      return this.e === 0 ? String(this.m) : `${this.m}e${this.e}`;
+    }
+
+    toJSON() {
+      return this.e === 0 ? this.m : this.toString();
+    }
+  }
+
+  const ZERO = new BigNum(0, 0);
+
+  /*
+   --- Normalization ---
+   Plain form (e = 0) below SAFE_LIMIT, scientific form (m in [1, 10)) above.
+   Values coming back under the limit are rounded to the nearest integer,
+   since a scientific mantissa cannot hold fractional digits anyway.
+  */
+  function normalize(m, e) {
+    if (Number.isNaN(m) || m === 0) return ZERO;
+    if (!Number.isFinite(m)) return new BigNum(m > 0 ? 1.7976931348623157 : -1.7976931348623157, e + 308);
+    if (e === 0 && Math.abs(m) < SAFE_LIMIT) return new BigNum(m, 0);
+
+    let k = Math.floor(Math.log10(Math.abs(m)));
+    let mm = m / Math.pow(10, k);
+    if (Math.abs(mm) >= 10) { mm /= 10; k += 1; }
+    if (Math.abs(mm) < 1) { mm *= 10; k -= 1; }
+    const ee = e + k;
+
+    if (ee < 15) return new BigNum(Math.round(mm * Math.pow(10, ee)), 0);
+    return new BigNum(mm, ee);
+  }
+
+  // Scientific view { m, e } of any BigNum (m in [1, 10), or 0)
+  function sci(n) {
+    if (n.e !== 0 || n.m === 0) return { m: n.m, e: n.e };
+    let k = Math.floor(Math.log10(Math.abs(n.m)));
+    let mm = n.m / Math.pow(10, k);
+    if (Math.abs(mm) >= 10) { mm /= 10; k += 1; }
+    if (Math.abs(mm) < 1) { mm *= 10; k -= 1; }
+    return { m: mm, e: k };
+  }
+
+  // Suffix for 10^(3k): K, M, B, T, then aa, ab, ..., zz (null past zz)
+  function suffixName(k) {
+    if (k < SUFFIXES.length) return SUFFIXES[k];
+    const n = k - SUFFIXES.length;
+    if (n >= 26 * 26) return null;
+    const a = 'a'.charCodeAt(0);
+    return String.fromCharCode(a + Math.floor(n / 26)) + String.fromCharCode(a + (n % 26));
+  }
+
+  // Adds spaces as thousands separators ("12 345")
+  function groupThousands(n) {
+    return String(n).replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+  }
+
+  /*
+   --- Formatting ---
+   format(x, { notation, digits, locale })
+     - notation: 'suffix' (1.23M, 4.56aa) or 'scientific' (1.23e6)
+     - digits: decimals shown after the point (default 2)
+     - locale: Intl locale for separators ("12 345" / "1,23M" in fr-FR, "12,345" / "1.23M" in en-US);
+       without it, spaces between thousands and a decimal point
+   Values below PLAIN_BELOW are printed in full. Past the last suffix,
+   the suffix notation falls back to scientific.
+  */
+  function format(x, opts = {}) {
+    const n = BigNum.from(x);
+    const digits = opts.digits != null ? opts.digits : 2;
+    const fixed = (v) => opts.locale
+      ? v.toLocaleString(opts.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+      : v.toFixed(digits);
+    if (n.e === 0 && Math.abs(n.m) < PLAIN_BELOW) {
+      return opts.locale ? Math.floor(n.m).toLocaleString(opts.locale) : groupThousands(Math.floor(n.m));
+    }
+
+    const { m, e } = sci(n);
+    // The rounded mantissa can reach 10: 9.999e8 is shown as 1.00e9, not 10.00e8
+    const scientific = () => Math.abs(Number(m.toFixed(digits))) >= 10
+      ? `${fixed(m / 10)}e${e + 1}`
+      : `${fixed(m)}e${e}`;
+    if (opts.notation === 'scientific') return scientific();
+
+    let k = Math.floor(e / 3);
+    let v = m * Math.pow(10, e - k * 3);
+    // Same at 1000 with suffixes: 999.999M is shown as 1.00B, not 1000.00M
+    if (Math.abs(Number(v.toFixed(digits))) >= 1000) {
+      v /= 1000;
+      k += 1;
+    }
+    const name = suffixName(k);
+    if (name == null) return scientific();
+    return fixed(v) + name;
+  }
+
+  BigNum.ZERO = ZERO;
+  BigNum.format = format;
+
+  // Browser: global `BigNum` / Node: require('./bignum.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = BigNum;
+  else root.BigNum = BigNum;
+})(typeof window !== 'undefined' ? window : globalThis);
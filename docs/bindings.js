@@ -0,0 +1,158 @@
+/*
+  FILE: bindings.js
+  GROUP: Input / Keyboard and gamepad bindings (headless, no DOM)
+
+  Notes:
+  - Chaque action du jeu (cliquer, acheter chaque amélioration, prestige, bonus, mode chrono,
+    statistiques) a au plus une touche clavier (KeyboardEvent.code) et un bouton de manette
+    (index du mapping "standard" de l'API Gamepad).
+  - La sauvegarde du profil ne garde que les différences avec ACTIONS (state.bindings) :
+    { keys: { action: code | null }, pad: { action: index | null } } (null = action sans touche).
+  - Une touche ou un bouton ne sert qu'à une action : bind() refuse un doublon (reason 'conflict')
+    sauf avec { force: true }, qui retire la touche à l'autre action.
+  - RESERVED : touches et boutons gardés pour les menus (Échap annule une saisie, Tab ; manette :
+    valider, retour, Start et la croix, voir gamepad.js BUTTONS).
+  - SAFE TO EDIT: touches par défaut dans ACTIONS, noms des boutons dans PAD_BUTTONS.
+  - CAUTION: les ids d'action sont enregistrés dans les sauvegardes, les textes sont
+    `bindings.action.<id>` dans i18n.js.
+*/
+(function (root) {
+  'use strict';
+
+  const DEVICES = ['keys', 'pad'];
+
+  // Default bindings, in the order of the controls popup (pad: standard mapping index)
+  const ACTIONS = [
+    { id: 'click', keys: 'Space', pad: 7 },
+    { id: 'buyAuto', keys: 'Digit1', pad: 4 },
+    { id: 'buyMult', keys: 'Digit2', pad: 5 },
+    { id: 'buyCritChance', keys: 'Digit3', pad: null },
+    { id: 'buyCritPower', keys: 'Digit4', pad: null },
+    { id: 'buyTempBoost', keys: 'Digit5', pad: 3 },
+    { id: 'prestige', keys: 'KeyP', pad: null },
+    { id: 'bonus', keys: 'KeyB', pad: 2 },
+    { id: 'timed', keys: 'KeyT', pad: null },
+    { id: 'stats', keys: 'KeyS', pad: 8 },
+  ];
+
+  const RESERVED = {
+    keys: ['Escape', 'Tab'],
+    pad: [0, 1, 9, 12, 13, 14, 15],
+  };
+
+  // Names of the standard mapping buttons (index → label)
+  const PAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'];
+
+  const BY_ID = {};
+  ACTIONS.forEach(a => { BY_ID[a.id] = a; });
+
+  function isValid(device, value) {
+    if (value === null) return true;
+    if (device === 'keys') return typeof value === 'string' && value.length > 0 && value.length <= 32;
+    return Number.isInteger(value) && value >= 0 && value < 32;
+  }
+
+  /*
+   Full bindings from saved overrides: { keys: { action: code|null }, pad: { action: index|null } }.
+   Unknown actions, invalid values, reserved inputs and duplicates (first action wins) are dropped.
+  */
+  function resolve(saved) {
+    const out = { keys: {}, pad: {} };
+    DEVICES.forEach(device => {
+      const overrides = (saved && typeof saved[device] === 'object' && saved[device]) || {};
+      const used = {};
+      ACTIONS.forEach(a => {
+        let value = a[device];
+        if (Object.prototype.hasOwnProperty.call(overrides, a.id) && isValid(device, overrides[a.id])) {
+          value = overrides[a.id];
+        }
+        if (value !== null && (RESERVED[device].includes(value) || used[value])) value = null;
+        if (value !== null) used[value] = a.id;
+        out[device][a.id] = value;
+      });
+    });
+    return out;
+  }
+
+  // Only what differs from the defaults (what the save keeps)
+  function overrides(bindings) {
+    const out = {};
+    DEVICES.forEach(device => {
+      ACTIONS.forEach(a => {
+        const value = bindings[device][a.id];
+        if (value === a[device]) return;
+        out[device] = out[device] || {};
+        out[device][a.id] = value;
+      });
+    });
+    return out;
+  }
+
+  // Action using an input on a device, or null
+  function actionFor(bindings, device, value) {
+    if (value === null || value === undefined) return null;
+    const map = bindings[device] || {};
+    return Object.keys(map).find(id => map[id] === value) || null;
+  }
+
+  /*
+   Binds an input to an action (in place).
+   Returns { ok: true } or { ok: false, reason: 'unknown' | 'invalid' | 'reserved' | 'conflict', action? }.
+   A conflict names the other action; with { force: true } that action loses the input.
+  */
+  function bind(bindings, actionId, device, value, opts = {}) {
+    if (!BY_ID[actionId] || !DEVICES.includes(device)) return { ok: false, reason: 'unknown' };
+    if (!isValid(device, value)) return { ok: false, reason: 'invalid' };
+    if (value !== null && RESERVED[device].includes(value)) return { ok: false, reason: 'reserved' };
+
+    const other = actionFor(bindings, device, value);
+    if (other && other !== actionId) {
+      if (!opts.force) return { ok: false, reason: 'conflict', action: other };
+      bindings[device][other] = null;
+    }
+    bindings[device][actionId] = value;
+    return { ok: true };
+  }
+
+  function unbind(bindings, actionId, device) {
+    return bind(bindings, actionId, device, null);
+  }
+
+  function defaults() {
+    return resolve({});
+  }
+
+  // Display names: "B", "1", "Space", "↑"... for keys, standard names for pad buttons
+  function keyLabel(code) {
+    if (!code) return '—';
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    const m = /^(Key|Digit)(.+)$/.exec(code);
+    if (m) return m[2];
+    return code.replace(/^Numpad/, 'Num ');
+  }
+
+  function padLabel(index, names = PAD_BUTTONS) {
+    if (index === null || index === undefined) return '—';
+    return names[index] || `#${index}`;
+  }
+
+  const PikaBindings = {
+    ACTIONS,
+    DEVICES,
+    RESERVED,
+    PAD_BUTTONS,
+    resolve,
+    overrides,
+    defaults,
+    actionFor,
+    bind,
+    unbind,
+    keyLabel,
+    padLabel,
+  };
+
+  // Browser: global `PikaBindings` / Node: require('./bindings.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaBindings;
+  else root.PikaBindings = PikaBindings;
+})(typeof window !== 'undefined' ? window : globalThis);
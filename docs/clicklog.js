@@ -0,0 +1,495 @@
+/*
+  FILE: clicklog.js
+  GROUP: Leaderboard / Click log (headless, no DOM)
+
+  Notes:
+  - Journal compact des événements qui changent le score (clics, critiques, achats, bonus,
+    prestige, revenu auto / hors-ligne) depuis le dernier envoi au classement.
+  - `attach(engine)` enveloppe les actions du moteur : script.js continue d'appeler
+    engine.click(), engine.buy()... et chaque action réussie est ajoutée au journal.
+    Les clics et les ticks consécutifs sont regroupés en une seule entrée, sauf quand l'heure
+    de chaque clic compte au rejeu (défi quotidien en cours, fin de boost ou d'effet).
+  - Chaque entrée est chaînée par SHA-256 (head = sha256(head précédent + entrée)) et le journal
+    commence par le head du dernier envoi accepté : on ne peut pas réécrire un journal déjà envoyé.
+  - `verifyLog()` rejoue le journal avec les règles du moteur (même RNG seedé) et rejette les
+    scores impossibles : chaîne cassée, cadence de clics trop élevée, revenu auto plus long que
+    le temps écoulé, événements aléatoires plus rapprochés que leur délai minimum, critiques qui
+    ne correspondent pas au RNG, score final différent.
+    Fonctionne sous Node : voir tools/verify-log.js.
+  - CAUTION: le journal ne remplace pas une vérification côté serveur ; il la rend possible.
+    Changer le format des entrées demande d'incrémenter LOG_VERSION.
+*/
+(function (root) {
+  'use strict';
+
+  const isNode = (typeof module !== 'undefined' && module.exports);
+  const BigNum = isNode ? require('./bignum.js') : root.BigNum;
+  const PikaEngine = isNode ? require('./engine.js') : root.PikaEngine;
+
+  const LOG_VERSION = 2;
+  const GENESIS = '0'.repeat(64);   // `prev` of a profile that never submitted
+  const MAX_ENTRIES = 50000;        // past this the log starts over from the current state
+  const MAX_CPS = 40;               // fastest click rate accepted by the verifier
+  const TIME_SLACK_MS = 5000;       // clock tolerance for ticks and timestamps
+
+  // Gameplay fields recorded as the starting point of a log (the countdown is UI only)
+  const BASELINE_KEYS = Object.keys(PikaEngine.DEFAULT_STATE).filter(k => k !== 'timedTimeLeft');
+  // Fields compared when resuming a saved log (daily.active is toggled by the UI,
+  // a timed run in progress is not saved)
+  const MATCH_KEYS = BASELINE_KEYS.filter(k => k !== 'daily' && !k.startsWith('timed'));
+
+  /*
+   --- Entry format ---
+   [type, t, ...args] with t = ms since the log started.
+     c: clicks       [c, t, count, crits]
+     t: auto income  [t, t, ms]
+     o: offline      [o, t, elapsedMs]
+     b: upgrade      [b, t, id, amount, count]
+     k: skill        [k, t, id]
+     x: respec       [x, t]
+     p: prestige     [p, t]
+     n: event        [n, t, id]       (random event claimed, engine.js EVENTS)
+     d: daily roll   [d, t, day]
+     y: daily start  [y, t]
+     w: daily won    [w, t]
+     f: freeze       [f, t]           (streak freeze bought)
+     q: weekly       [q, t]           (weekly reward claimed)
+     m: timed start  [m, t, seconds]
+     e: timed end    [e, t]
+     s: spend        [s, t, amount]   (skins)
+  */
+
+  // --- SHA-256 (synchronous, UTF-8 input, hex output) ---
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ];
+
+  function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const bitLen = bytes.length * 8;
+    const padded = new Uint8Array(((bytes.length + 9 + 63) >> 6) << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLen / 4294967296));
+    view.setUint32(padded.length - 4, bitLen >>> 0);
+
+    const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const W = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let i = 0; i < 16; i++) W[i] = view.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+        const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+        W[i] = (W[i - 16] + s0 + W[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let i = 0; i < 64; i++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + K[i] + W[i]) >>> 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        h = g; g = f; f = e; e = (d + t1) >>> 0;
+        d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+      }
+      H[0] = (H[0] + a) >>> 0; H[1] = (H[1] + b) >>> 0; H[2] = (H[2] + c) >>> 0; H[3] = (H[3] + d) >>> 0;
+      H[4] = (H[4] + e) >>> 0; H[5] = (H[5] + f) >>> 0; H[6] = (H[6] + g) >>> 0; H[7] = (H[7] + h) >>> 0;
+    }
+    return H.map(x => x.toString(16).padStart(8, '0')).join('');
+  }
+
+  // Plain copy of the given state fields (BigNum → number / "1.5e42" string)
+  function pick(state, keys) {
+    const out = {};
+    keys.forEach(k => { out[k] = state[k]; });
+    return JSON.parse(JSON.stringify(out));
+  }
+
+  // First link of the chain: covers `prev` and the log header (start time, baseline, RNG)
+  function headerHash(log) {
+    return sha256(log.prev + JSON.stringify([LOG_VERSION, log.startedAt, log.baseline, log.rng]));
+  }
+
+  /*
+   --- Recorder ---
+   createClickLog() → {
+     now,                       // clock to pass to createEngine (frozen during a recorded action)
+     attach(engine),            // wraps the engine actions, returns the engine
+     rebase(state, rng, prev?), // starts a new log from this state
+     restore(raw, state, rng),  // resumes a saved log if it replays to `state`
+     serialize(), submission(), // saved form / flushed copy for the leaderboard
+     commit(sub),               // after an accepted submission: next log chains on it
+     size()
+   }
+  */
+  function createClickLog() {
+    let log = null;
+    let frozen = null;
+
+    function now() {
+      return frozen != null ? frozen : Date.now();
+    }
+
+    function rebase(state, rng, prev = (log ? log.prev : GENESIS)) {
+      log = {
+        v: LOG_VERSION,
+        prev,
+        startedAt: Date.now(),
+        baseline: pick(state, BASELINE_KEYS),
+        rng: rng.getState(),
+        entries: [],
+        pending: null,
+        head: null,
+      };
+      log.head = headerHash(log);
+    }
+
+    // Hashes the pending batch (clicks or ticks) into the chain
+    function flush() {
+      if (!log || !log.pending) return;
+      log.entries.push(log.pending);
+      log.head = sha256(log.head + JSON.stringify(log.pending));
+      log.pending = null;
+    }
+
+    function push(entry) {
+      flush();
+      log.entries.push(entry);
+      log.head = sha256(log.head + JSON.stringify(entry));
+    }
+
+    function attach(engine) {
+      const state = engine.state;
+
+      // Runs an engine action with a frozen clock, so the log and the engine see the same time
+      function record(fn, toEntry) {
+        return function (...args) {
+          frozen = Date.now();
+          try {
+            const res = fn.apply(engine, args);
+            if (log) {
+              const entry = toEntry(res, frozen - log.startedAt, args);
+              if (entry) push(entry);
+              if (log.entries.length >= MAX_ENTRIES) {
+                console.warn('Click log full: starting over from the current state');
+                rebase(state, engine.rng);
+              }
+            }
+            return res;
+          } finally {
+            frozen = null;
+          }
+        };
+      }
+
+      /*
+       A batch of clicks is replayed at the time of its last click, so a click joins the
+       batch only when that gives the same result: no daily "cps" challenge running (its
+       best second needs the time of every click), and no deadline (daily challenge end,
+       boost or event effect end) between the previous click and this one.
+      */
+      function joinsBatch(t) {
+        if (!log.pending || log.pending[0] !== 'c') return false;
+        const d = state.daily;
+        if (d.active && !d.claimedToday && d.type === 'cps') return false;
+        const from = log.startedAt + log.pending[1];
+        const to = log.startedAt + t;
+        const deadlines = [d.expiresAt, state.tempBoostEnd].concat(Object.values(state.effects));
+        return !deadlines.some(end => end >= from && end < to);
+      }
+
+      const click = engine.click;
+      engine.click = function () {
+        frozen = Date.now();
+        try {
+          const mergeable = log && joinsBatch(frozen - log.startedAt);
+          const res = click.call(engine);
+          if (!log) return res;
+          const t = frozen - log.startedAt;
+          if (mergeable) {
+            log.pending[1] = t;
+            log.pending[2] += 1;
+            log.pending[3] += res.isCrit ? 1 : 0;
+          } else {
+            flush();
+            log.pending = ['c', t, 1, res.isCrit ? 1 : 0];
+          }
+          return res;
+        } finally {
+          frozen = null;
+        }
+      };
+
+      // Consecutive ticks are merged while no boost or event effect can end in between
+      const tick = engine.tick;
+      engine.tick = function (ms) {
+        frozen = Date.now();
+        try {
+          const mergeable = log && log.pending && log.pending[0] === 't' && !state.tempBoostActive &&
+            !Object.keys(state.effects).length;
+          const res = tick.call(engine, ms);
+          if (!log) return res;
+          const t = frozen - log.startedAt;
+          if (mergeable) {
+            log.pending[1] = t;
+            log.pending[2] += ms;
+          } else {
+            flush();
+            log.pending = ['t', t, ms];
+          }
+          return res;
+        } finally {
+          frozen = null;
+        }
+      };
+
+      engine.buy = record(engine.buy, (r, t, [id, amount = 1]) => r.ok ? ['b', t, id, amount, r.count] : null);
+      engine.buySkill = record(engine.buySkill, (r, t, [id]) => r.ok ? ['k', t, id] : null);
+      engine.respec = record(engine.respec, (r, t) => ['x', t]);
+      engine.prestige = record(engine.prestige, (r, t) => r.ok ? ['p', t] : null);
+      engine.claimBonus = record(engine.claimBonus, (r, t) => r.ok ? ['n', t, r.id] : null);
+      engine.rollDaily = record(engine.rollDaily, (r, t) => r.ok ? ['d', t, r.day] : null);
+      engine.startDaily = record(engine.startDaily, (r, t) => r.ok ? ['y', t] : null);
+      engine.completeDaily = record(engine.completeDaily, (r, t) => r.ok ? ['w', t] : null);
+      engine.buyStreakFreeze = record(engine.buyStreakFreeze, (r, t) => r.ok ? ['f', t] : null);
+      engine.claimWeekly = record(engine.claimWeekly, (r, t) => r.ok ? ['q', t] : null);
+      engine.startTimed = record(engine.startTimed, (r, t) => r.ok ? ['m', t, r.duration] : null);
+      engine.endTimed = record(engine.endTimed, (r, t) => r.ok ? ['e', t] : null);
+      engine.spend = record(engine.spend, (r, t, [amount]) => r.ok ? ['s', t, BigNum.from(amount).toJSON()] : null);
+      engine.applyOffline = record(engine.applyOffline, (r, t) =>
+        (r.elapsedMs > 0 || r.boostEnded || r.effectsEnded.length) ? ['o', t, r.elapsedMs] : null);
+      return engine;
+    }
+
+    /*
+     Resumes a saved log when replaying it gives back `state` (same score,
+     upgrades, prestige...). Otherwise — missing log, edited save, imported
+     file — a new log starts from `state`. Returns { ok, reason? }.
+    */
+    function restore(raw, state, rng) {
+      let saved = null;
+      try { saved = raw ? JSON.parse(raw) : null; } catch (e) {}
+      if (!saved) {
+        rebase(state, rng, GENESIS);
+        return { ok: false, reason: 'missing' };
+      }
+
+      const res = verifyLog(saved);
+      const prev = (typeof saved.prev === 'string') ? saved.prev : GENESIS;
+      if (!res.ok) {
+        rebase(state, rng, prev);
+        return { ok: false, reason: res.reason };
+      }
+      if (JSON.stringify(pick(res.state, MATCH_KEYS)) !== JSON.stringify(pick(state, MATCH_KEYS))) {
+        rebase(state, rng, prev);
+        return { ok: false, reason: 'state' };
+      }
+      log = saved;
+      rng.setState(res.rng);
+      return { ok: true };
+    }
+
+    // The pending batch is not hashed yet: it is closed first, so a saved log verifies
+    function serialize() {
+      flush();
+      return JSON.stringify(log);
+    }
+
+    function submission() {
+      flush();
+      return JSON.parse(JSON.stringify(log));
+    }
+
+    /*
+     After `sub` (a submission() copy) was accepted: the next log chains on its
+     head and starts from the state it ended with. Events recorded while the
+     submission was in flight are carried over.
+    */
+    function commit(sub) {
+      if (!log || log.startedAt !== sub.startedAt || log.prev !== sub.prev) return; // log restarted meanwhile
+      const res = verifyLog(sub);
+      if (!res.ok) return;
+
+      const done = sub.entries.length;
+      const shift = done ? sub.entries[done - 1][1] : 0;
+      const moved = (e) => [e[0], e[1] - shift].concat(e.slice(2));
+      const later = log.entries.slice(done);
+      const pending = log.pending;
+
+      log = {
+        v: LOG_VERSION,
+        prev: sub.head,
+        startedAt: sub.startedAt + shift,
+        baseline: pick(res.state, BASELINE_KEYS),
+        rng: res.rng,
+        entries: [],
+        pending: null,
+        head: null,
+      };
+      log.head = headerHash(log);
+      later.forEach(e => push(moved(e)));
+      if (pending) log.pending = moved(pending);
+    }
+
+    function size() {
+      return log ? log.entries.length + (log.pending ? 1 : 0) : 0;
+    }
+
+    return { now, attach, rebase, restore, serialize, submission, commit, size };
+  }
+
+  /*
+   --- Verifier ---
+   verifyLog(log, opts) replays `log` from its baseline with the engine rules.
+   Options (all optional, set by a backend):
+     - prev: head of the last accepted submission of this player
+     - baseline: game state stored with that submission (must equal log.baseline)
+     - score: claimed score (must equal the replayed score)
+     - now: reception time (the log cannot end in the future)
+   Returns { ok: true, score, state, rng, head, baselineTrusted }
+        or { ok: false, reason, detail }.
+  */
+  function verifyLog(log, opts = {}) {
+    const fail = (reason, detail) => ({ ok: false, reason, detail });
+
+    if (!log || log.v !== LOG_VERSION || !Array.isArray(log.entries) || typeof log.startedAt !== 'number') {
+      return fail('format', 'journal illisible ou version inconnue');
+    }
+    if (log.pending) return fail('format', 'journal non clos (entrée en attente)');
+    if (opts.prev != null && log.prev !== opts.prev) return fail('chain', 'ne suit pas le dernier envoi accepté');
+
+    let head = headerHash(log);
+    log.entries.forEach(e => { head = sha256(head + JSON.stringify(e)); });
+    if (head !== log.head) return fail('chain', 'journal modifié (hash final différent)');
+
+    if (opts.baseline && JSON.stringify(pick(opts.baseline, BASELINE_KEYS)) !== JSON.stringify(pick(log.baseline, BASELINE_KEYS))) {
+      return fail('baseline', 'état de départ différent du dernier envoi accepté');
+    }
+
+    // --- Replay ---
+    const state = PikaEngine.reviveState(Object.assign(PikaEngine.createDefaultState(), JSON.parse(JSON.stringify(log.baseline))));
+    const rng = PikaEngine.createRng(0);
+    rng.setState(log.rng);
+    let clock = log.startedAt;
+    const engine = PikaEngine.createEngine({ state, rng, now: () => clock });
+
+    let lastT = 0;
+    let passiveMs = 0; // auto income + offline time claimed so far
+    let lastEventT = null; // time of the last random event claimed
+
+    for (let i = 0; i < log.entries.length; i++) {
+      const [type, t, a, b, c] = log.entries[i];
+      const where = `entrée ${i} (${type})`;
+      if (typeof t !== 'number' || t < lastT) return fail('order', `${where} : horodatage invalide`);
+      const gap = t - lastT;
+      clock = log.startedAt + t;
+
+      switch (type) {
+        case 'c': {
+          if (!(a > 0) || a > MAX_CPS * (gap / 1000 + 1)) return fail('rate', `${where} : ${a} clics en ${gap} ms`);
+          let crits = 0;
+          for (let k = 0; k < a; k++) if (engine.click().isCrit) crits++;
+          if (crits !== b) return fail('crit', `${where} : ${b} critiques annoncés, ${crits} rejoués`);
+          break;
+        }
+        case 't':
+          passiveMs += a;
+          if (!(a > 0) || passiveMs > t + TIME_SLACK_MS + t / 100) return fail('time', `${where} : revenu auto plus long que le temps écoulé`);
+          engine.tick(a);
+          break;
+        case 'o':
+          passiveMs += a;
+          if (!(a >= 0) || a > gap + TIME_SLACK_MS) return fail('offline', `${where} : absence plus longue que l'écart entre deux événements`);
+          engine.applyOffline(clock - a);
+          break;
+        case 'b': {
+          const res = engine.buy(a, b);
+          if (!res.ok || res.count !== c) return fail('replay', `${where} : achat ${a} impossible`);
+          break;
+        }
+        case 'k':
+          if (!engine.buySkill(a).ok) return fail('replay', `${where} : compétence ${a} impossible`);
+          break;
+        case 'x':
+          engine.respec();
+          break;
+        case 'p':
+          if (!engine.prestige().ok) return fail('replay', `${where} : prestige impossible`);
+          break;
+        case 'n':
+          if (lastEventT !== null && t - lastEventT < PikaEngine.EVENT_COOLDOWN_MS.min - TIME_SLACK_MS) {
+            return fail('event', `${where} : événement ${t - lastEventT} ms après le précédent`);
+          }
+          if (!engine.claimBonus(a).ok) return fail('replay', `${where} : événement ${a} inconnu`);
+          lastEventT = t;
+          break;
+        case 'd': {
+          // the day of the challenge is the UTC day of the entry (± 1 for clock drift)
+          const day = a || PikaEngine.dayKey(clock);
+          if (Math.abs(Date.parse(day) - Date.parse(PikaEngine.dayKey(clock))) > 86400000) {
+            return fail('daily', `${where} : défi du ${day} hors de sa journée`);
+          }
+          if (!engine.rollDaily(day).ok) return fail('daily', `${where} : défi du ${day} déjà tiré`);
+          break;
+        }
+        case 'y':
+          if (!engine.startDaily().ok) return fail('replay', `${where} : défi quotidien déjà lancé`);
+          break;
+        case 'w':
+          if (!engine.completeDaily().ok) return fail('replay', `${where} : défi quotidien non réussi`);
+          break;
+        case 'f':
+          if (!engine.buyStreakFreeze().ok) return fail('replay', `${where} : gel de série impossible`);
+          break;
+        case 'q':
+          if (!engine.claimWeekly().ok) return fail('replay', `${where} : défi de la semaine non réussi`);
+          break;
+        case 'm':
+          if (!engine.startTimed(a).ok) return fail('replay', `${where} : durée ${a} inconnue`);
+          break;
+        case 'e':
+          if (!engine.endTimed().ok) return fail('replay', `${where} : aucune partie chronométrée en cours`);
+          break;
+        case 's':
+          if (!engine.spend(a).ok) return fail('replay', `${where} : dépense impossible`);
+          break;
+        default:
+          return fail('format', `${where} : type inconnu`);
+      }
+      lastT = t;
+    }
+
+    if (opts.now != null && log.startedAt + lastT > opts.now + TIME_SLACK_MS) {
+      return fail('time', 'journal daté du futur');
+    }
+    if (opts.score != null && !state.score.eq(BigNum.from(opts.score))) {
+      return fail('score', `score annoncé ${BigNum.from(opts.score)}, score rejoué ${state.score}`);
+    }
+    return { ok: true, score: state.score, state, rng: rng.getState(), head: log.head, baselineTrusted: !!opts.baseline };
+  }
+
+  const PikaClickLog = {
+    LOG_VERSION,
+    GENESIS,
+    MAX_CPS,
+    BASELINE_KEYS,
+    sha256,
+    createClickLog,
+    verifyLog,
+  };
+
+  // Browser: global `PikaClickLog` / Node: require('./clicklog.js')
+  if (isNode) module.exports = PikaClickLog;
+  else root.PikaClickLog = PikaClickLog;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,958 @@
+/*
+  FILE: engine.js
+  GROUP: Game rules (headless, no DOM)
+
+  Notes:
+  - Ce fichier contient toutes les règles du jeu (clic, achats, prestige, auto-click, bonus, défi quotidien)
+    sans aucune référence au DOM. `script.js` ne fait qu'afficher l'état renvoyé par le moteur.
+  - Le hasard passe par un RNG seedé (`createRng`) au lieu de `Math.random()`, ce qui permet de rejouer
+    une session à l'identique et de tester l'équilibrage sous Node :
+        const { createEngine } = require('./docs/engine.js');
+        const engine = createEngine({ seed: 42 });
+        engine.click(); engine.buy('autoClick'); engine.tick(1000);
+  - Les montants (score, coûts, gains) sont des `BigNum` (bignum.js, chargé avant ce fichier) :
+    toujours utiliser add/sub/gte..., jamais les opérateurs + - < > directement.
+  - SAFE TO EDIT: valeurs de DEFAULT_STATE (équilibrage), catalogue UPGRADES, arbre SKILLS, catalogue EVENTS, OFFLINE_DEFAULTS,
+    bornes des bonus et du défi quotidien.
+  - Prestige : le score au moment du reset est converti en points de prestige (`pointsForScore`),
+    dépensés dans l'arbre SKILLS (`buySkill`, `respec`). Les compétences sont permanentes.
+  - Événements aléatoires (catalogue EVENTS) : `claimBonus(id)` paie un Pikachu doré (plusieurs
+    secondes de production) ou lance un effet limité dans le temps (state.effects), arrêté par
+    tick() / applyOffline() comme le boost. Leur apparition est gérée par events.js.
+  - CAUTION: garder l'API publique (`click`, `buy`, `quote`, `prestige`, `tick`, `applyOffline`, `claimBonus`, `rollDaily`,
+    `startDaily`, `completeDaily`, `buyStreakFreeze`, `claimWeekly`, `startTimed`, `endTimed`, `spend`) stable, et passer par elle pour toute modification du score (le journal de clics
+    de clicklog.js ne voit que ces appels). `script.js` l'utilise directement.
+*/
+(function (root) {
+  'use strict';
+
+  // Large numbers (score, costs, gains): see bignum.js
+  const BigNum = (typeof module !== 'undefined' && module.exports) ? require('./bignum.js') : root.BigNum;
+
+  /*
+   --- Default game state ---
+   Gameplay values used for a new player. The UI adds its own fields
+   (pseudo, theme, sounds...) on top of this object.
+  */
+  const DEFAULT_STATE = {
+    score: 0,                // Current score (the main currency of the game)
+    totalClicks: 0,          // Total number of clicks performed by the player (used for stats and achievements)
+    autoClickers: 0,         // Number of auto-clickers purchased (passive score generators)
+    autoClickCost: 150,      // Current cost to purchase the next auto-click
+    multiplier: 1,           // Current multiplier applied to each click
+    multiplierCost: 500,     // Current cost to purchase the next multiplier upgrade
+    critChance: 0.02,        // Probability of a critical hit per click (2% by default)
+    critPower: 5,            // Critical hit multiplier (x5 score when a crit occurs)
+    critChanceCost: 1000,    // Cost to upgrade the critical hit chance
+    critPowerCost: 1500,     // Cost to upgrade the critical hit power
+    tempBoostActive: false,  // Whether a temporary boost is currently active
+    tempBoostEnd: 0,         // Timestamp (ms) when the temporary boost will end
+    tempBoostCost: 300,      // Cost to activate a temporary boost
+    effects: {},             // Running random event effects: event id (see EVENTS) → end timestamp (ms)
+    prestigeCount: 0,        // Number of times the player has prestiged (soft reset)
+    prestigeBonus: 0,        // Permanent percentage bonus from the "gains" prestige skill (applies to all gains)
+    prestigeCost: 20000,     // Minimum score required to perform the next prestige
+    prestigePoints: 0,       // Prestige points not spent yet in the skill tree
+    prestigePointsTotal: 0,  // Prestige points earned since the beginning (refunded on respec)
+    skills: {},              // Prestige skill levels, by skill id (see SKILLS)
+    bestTimed: 0,            // Best 60-second timed run (personal best, also the "Chrono" leaderboard)
+    bestTimed15: 0,          // Best 15-second timed run
+    bestTimed30: 0,          // Best 30-second timed run
+    bestTimed120: 0,         // Best 120-second timed run
+    timedActive: false,      // Whether the timed mode is currently active
+    timedTimeLeft: 60,       // Remaining time (in seconds) for the timed mode
+    timedScore: 0,           // Score accumulated during the current timed session
+    timedStartedAt: 0,       // Timestamp (ms) when the current timed session started
+    timedDuration: 60,       // Length (in seconds) of the current timed session
+    daily: {
+      day: '',               // UTC day ("2025-01-31") of the rolled challenge (see dailyFor)
+      type: 'points',        // Challenge type (see DAILY_TYPES)
+      active: false,         // Whether a daily challenge is currently active
+      target: 5000,          // Amount to reach, in the unit of the challenge type
+      progress: 0,           // Amount reached since the challenge started
+      rewardPct: 5,          // Reward percentage bonus granted upon completion
+      expiresAt: 0,          // Expiration timestamp of the current daily challenge
+      claimedToday: false,   // Whether the daily reward has already been claimed today
+      startedAt: 0,          // Timestamp (ms) when the current challenge was started
+      completedInMs: 0,      // Time taken to reach the target by the last completed challenge
+      completedOn: ''        // UTC day of the completed challenge ("2025-01-31"), for the daily leaderboard
+    },
+    dailyHistory: {},        // Past daily challenges by UTC day: 'won' | 'attempted' | 'frozen' (see dailyCalendar)
+    dailyStreak: 0,          // Consecutive days won, up to dailyLastWin
+    dailyBestStreak: 0,      // Longest streak ever
+    dailyLastWin: '',        // UTC day of the last daily challenge won
+    streakFreezes: 0,        // Streak freezes owned: each one covers a missed day
+    weekly: {
+      week: '',              // Monday (UTC day) of the week whose reward was claimed last
+      claimed: false         // Whether that week's reward was claimed
+    },
+  };
+
+  // Durée d'un "tick" d'auto-click et d'un boost temporaire (ms)
+  const AUTO_TICK_MS = 1000;
+  const TEMP_BOOST_MS = 30000;
+  // Durée du boost x2 gagné en réussissant le défi quotidien, et temps pour le réussir (ms)
+  const DAILY_REWARD_MS = 10 * 60 * 1000;
+  const DAILY_WINDOW_MS = 10 * 60 * 1000;
+  // Durées possibles d'une partie chronométrée (s), et retard toléré pour la terminer (ms)
+  const TIMED_DURATIONS = [15, 30, 60, 120];
+  const TIMED_SLACK_MS = 3000;
+
+  /*
+   --- Daily challenge ---
+   Each UTC day has one challenge, the same for every player: dailyFor(day)
+   draws its type, target and reward from a seed made of the date. Progress
+   only counts from the moment the player starts it:
+     points: points earned (clicks, auto-clickers, bonus)
+     crits:  critical hits
+     cps:    clicks within one second (best second)
+     clicks: manual clicks
+  */
+  const DAILY_TYPES = {
+    points: { min: 2000, max: 20000, step: 1000 },
+    crits:  { min: 5, max: 20, step: 5 },
+    cps:    { min: 6, max: 12, step: 1 },
+    clicks: { min: 300, max: 1500, step: 100 },
+  };
+
+  // UTC day of a timestamp ("2025-01-31")
+  function dayKey(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  // Days between two UTC days ("2025-01-31"), positive when `b` is later
+  function daysBetween(a, b) {
+    return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+  }
+
+  function addDays(day, n) {
+    return dayKey(Date.parse(day) + n * 86400000);
+  }
+
+  // Monday of the UTC week of a day: key of the weekly challenge
+  function weekOf(day) {
+    return addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+  }
+
+  // FNV-1a hash of the day string: seed of its challenge
+  function daySeed(day) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < day.length; i++) h = Math.imul(h ^ day.charCodeAt(i), 0x01000193);
+    return h >>> 0;
+  }
+
+  function dailyFor(day) {
+    const rng = createRng(daySeed(day));
+    const types = Object.keys(DAILY_TYPES);
+    const type = types[Math.floor(rng() * types.length)];
+    const t = DAILY_TYPES[type];
+    const target = t.min + t.step * Math.floor(rng() * ((t.max - t.min) / t.step + 1));
+    return { day, type, target, rewardPct: 3 + Math.floor(rng() * 7) };
+  }
+
+  /*
+   --- Streaks and weekly challenge ---
+   Each daily challenge won in a row adds one to the streak; the x2 reward boost
+   lasts STREAK_STEP longer per streak day (up to STREAK_MAX days). A missed day
+   breaks the streak unless a streak freeze covers it (bought with points, at
+   most STREAK_FREEZE_MAX owned). Winning WEEKLY_TARGET days of the same
+   week (Monday to Sunday, UTC) unlocks WEEKLY_REWARD prestige point(s).
+  */
+  const STREAK_STEP = 0.5;
+  const STREAK_MAX = 5;
+  const STREAK_FREEZE_COST = 25000;
+  const STREAK_FREEZE_MAX = 2;
+  const WEEKLY_TARGET = 5;
+  const WEEKLY_REWARD = 1;
+  const HISTORY_DAYS = 120; // days kept in dailyHistory
+
+  // Reward boost length for a streak of `streak` days (ms)
+  function dailyRewardMs(streak) {
+    return DAILY_REWARD_MS * (1 + STREAK_STEP * (Math.min(Math.max(streak, 1), STREAK_MAX) - 1));
+  }
+
+  /*
+   Streak as seen on `today`: still alive while the days missed since the last
+   win (today excluded, it can still be won) are covered by the freezes owned.
+   Returns { streak, alive, missed }.
+  */
+  function streakStatus(s, today) {
+    if (!s.dailyLastWin) return { streak: 0, alive: false, missed: 0 };
+    const missed = Math.max(0, daysBetween(s.dailyLastWin, today) - 1);
+    const alive = missed <= s.streakFreezes;
+    return { streak: alive ? s.dailyStreak : 0, alive, missed };
+  }
+
+  // Days won in the week of `today`, and whether its reward can be claimed
+  function weeklyStatus(s, today) {
+    const week = weekOf(today);
+    let won = 0;
+    for (let i = 0; i < 7; i++) if (s.dailyHistory[addDays(week, i)] === 'won') won++;
+    const claimed = s.weekly.week === week && s.weekly.claimed;
+    return { week, won, target: WEEKLY_TARGET, claimed, claimable: won >= WEEKLY_TARGET && !claimed };
+  }
+
+  /*
+   The `days` last days up to `today` for the calendar, oldest first:
+   { day, status: 'won' | 'attempted' | 'frozen' | 'missed' | 'today' | 'none' }.
+   Days before the first challenge ever played are 'none'.
+  */
+  function dailyCalendar(s, today, days = 28) {
+    const first = Object.keys(s.dailyHistory).sort()[0];
+    const out = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const day = addDays(today, -i);
+      let status = s.dailyHistory[day];
+      if (!status) status = day === today ? 'today' : (first && day > first ? 'missed' : 'none');
+      out.push({ day, status });
+    }
+    return out;
+  }
+
+  // State field holding the personal best of a duration (60 s keeps the historical `bestTimed`)
+  function timedBestKey(seconds) {
+    return seconds === 60 ? 'bestTimed' : `bestTimed${seconds}`;
+  }
+
+  /*
+   --- Offline progress ---
+   Auto-clickers keep producing while the game is closed, at a reduced rate.
+     - efficiency: share of the normal auto-click income (0.5 = 50%)
+     - maxMs: longest absence that is paid (8h)
+     - minMs: absences shorter than this are ignored (a reload is not an absence)
+  */
+  const OFFLINE_DEFAULTS = {
+    efficiency: 0.5,
+    maxMs: 8 * 60 * 60 * 1000,
+    minMs: 60 * 1000,
+  };
+
+  // State fields stored as BigNum (score, personal bests and every price)
+  const BIG_KEYS = [
+    'score', 'timedScore', 'bestTimed', 'bestTimed15', 'bestTimed30', 'bestTimed120', 'prestigeCost',
+    'autoClickCost', 'multiplierCost', 'critChanceCost', 'critPowerCost', 'tempBoostCost',
+  ];
+
+  /*
+   --- Prestige skill tree ---
+   Prestige points are spent here; levels are kept across prestiges.
+     - id / name / icon / desc: identifier and tree label (the game shows skill.<id>.name / .desc from i18n.js)
+     - max: highest level
+     - cost: prestige points per level
+     - requires: { skillId: level } needed before the first level can be bought
+   Effects are read through skillLevel() where they apply (gain factor, crit cap,
+   boost duration) or at reset time (starting auto-clickers, cheaper prices, skins).
+  */
+  const SKILLS = [
+    { id: 'gains', name: 'Gains', icon: '📈', desc: '+10% sur tous les gains', max: 10, cost: 1 },
+    { id: 'startAuto', name: 'Départ rapide', icon: '⚙️', desc: '+2 auto-clickers au départ', max: 5, cost: 2, requires: { gains: 1 } },
+    { id: 'cheaper', name: 'Marchandage', icon: '💸', desc: '-5% sur les prix de départ', max: 5, cost: 2, requires: { gains: 1 } },
+    { id: 'longBoost', name: 'Boost prolongé', icon: '⏳', desc: '+10 s par boost', max: 3, cost: 2, requires: { startAuto: 1 } },
+    { id: 'critCap', name: 'Œil de lynx', icon: '🎯', desc: '+5% au plafond de Crit% (50%)', max: 4, cost: 3, requires: { cheaper: 2 } },
+    { id: 'keepSkins', name: 'Collection', icon: '👗', desc: 'Les skins sont conservés au prestige', max: 1, cost: 3, requires: { cheaper: 1 } },
+  ];
+
+  // Score needed for the first prestige point; points grow with the square root of the score
+  const PRESTIGE_POINTS_BASE = 20000;
+
+  function getSkill(id) {
+    return SKILLS.find(k => k.id === id) || null;
+  }
+
+  function skillLevel(s, id) {
+    return (s.skills && s.skills[id]) || 0;
+  }
+
+  // Prestige points earned by resetting with `score`: floor(sqrt(score / base))
+  function pointsForScore(score) {
+    const n = BigNum.from(score);
+    if (n.lt(PRESTIGE_POINTS_BASE)) return 0;
+    const log = n.log10() - Math.log10(PRESTIGE_POINTS_BASE);
+    return Math.min(Number.MAX_SAFE_INTEGER, Math.floor(Math.pow(10, log / 2) + 1e-9));
+  }
+
+  // Skill-dependent limits
+  function critCap(s) { return 0.5 + 0.05 * skillLevel(s, 'critCap'); }
+  function boostMs(s) { return TEMP_BOOST_MS + 10000 * skillLevel(s, 'longBoost'); }
+
+  // Returns a fresh deep copy of the defaults (daily is nested)
+  function createDefaultState() {
+    return reviveState(JSON.parse(JSON.stringify(DEFAULT_STATE)));
+  }
+
+  /*
+   Converts the BIG_KEYS fields of a state (plain numbers or "1.5e42" strings
+   coming from a save) back into BigNum instances. Missing fields get their default
+   (effects too: states older than the random events have none).
+  */
+  function reviveState(s) {
+    BIG_KEYS.forEach(k => {
+      s[k] = BigNum.from(s[k] != null ? s[k] : DEFAULT_STATE[k]);
+    });
+    if (!s.effects || typeof s.effects !== 'object') s.effects = {};
+    return s;
+  }
+
+  /*
+   --- Seeded RNG (mulberry32) ---
+   Returns a function usable as a drop-in replacement for Math.random().
+   The internal state can be read/restored to replay a session exactly.
+  */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    const rng = function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed >>> 0;
+    rng.getState = () => a;
+    rng.setState = (v) => { a = v >>> 0; };
+    return rng;
+  }
+
+  /*
+   --- Upgrade catalog ---
+   One entry per upgrade sold in the shop; the shop buttons are rendered from this list.
+   Adding an upgrade is a data change: give it an id, a cost field, a cost growth and an effect.
+     - id: identifier accepted by engine.buy() / engine.quote()
+     - domId: id of the rendered shop button (kept stable for CSS and gamepad navigation)
+     - name / icon: shop label and picture (the game shows upgrade.<id> from i18n.js)
+     - costKey: state field holding the current price
+     - costGrowth: next price = floor(price * costGrowth)
+     - cap: { key, max } — the upgrade is maxed once state[key] reaches max (max may be a function of the state)
+     - label(state): optional shop label when it depends on the state
+     - bulk: false when buying several levels at once makes no sense (boosts)
+     - apply(state, now): effect of one level
+  */
+  const UPGRADES = [
+    {
+      id: 'autoClick', domId: 'buyAutoClick', name: 'Auto-Click', icon: 'img/Dé_Pipé.png',
+      costKey: 'autoClickCost', costGrowth: 1.5,
+      apply(s) { s.autoClickers += 1; }
+    },
+    {
+      id: 'multiplier', domId: 'buyMultiplier', name: 'Multiplicateur', icon: 'img/Poignet_Pouvoir.png',
+      costKey: 'multiplierCost', costGrowth: 2,
+      // first buy → x5, afterwards → +5 each time
+      apply(s) { s.multiplier = (s.multiplier === 1) ? 5 : s.multiplier + 5; }
+    },
+    {
+      id: 'critChance', domId: 'buyCritChance', name: 'Crit%', icon: 'img/Lentilscope.png',
+      costKey: 'critChanceCost', costGrowth: 2, cap: { key: 'critChance', max: critCap },
+      apply(s) { s.critChance = Math.min(critCap(s), s.critChance + 0.01); } // +1%, max 50% (more with the critCap skill)
+    },
+    {
+      id: 'critPower', domId: 'buyCritPower', name: 'Crit x', icon: 'img/Griffe_Rasoir.png',
+      costKey: 'critPowerCost', costGrowth: 2, cap: { key: 'critPower', max: 50 },
+      apply(s) { s.critPower = Math.min(50, s.critPower + 5); } // max x50
+    },
+    {
+      id: 'tempBoost', domId: 'buyTempBoost', name: 'Boost 30s', icon: 'img/Charme_Exp.png',
+      costKey: 'tempBoostCost', costGrowth: 1, bulk: false,
+      label(s) { return `Boost ${boostMs(s) / 1000}s`; },
+      apply(s, now) {
+        s.tempBoostActive = true;
+        s.tempBoostEnd = now + boostMs(s);
+      }
+    },
+  ];
+
+  // Upper bound for a "max" bulk purchase (safety net for flat cost curves)
+  const MAX_BULK = 1000;
+
+  function getUpgrade(id) {
+    return UPGRADES.find(u => u.id === id) || null;
+  }
+
+  /*
+   --- Random events ---
+   Events spawned in the click zone by events.js, one at a time, claimed with engine.claimBonus(id).
+     - id: identifier accepted by engine.claimBonus() (the game shows event.<id>.* from i18n.js)
+     - icon: label of the spawned button
+     - weight: relative spawn chance
+     - lifeMs: how long the button stays claimable
+     - zone: spawn area, as fractions of the click zone { x: [min, max], y: [min, max] }
+     - seconds: reward worth this many seconds of production (golden)
+     - ms: length of the effect started by the claim, with its factors:
+         clickFactor (manual clicks), incomeFactor (every gain), stormCps (free clicks per second)
+  */
+  const EVENTS = [
+    { id: 'golden', icon: '🌟', weight: 50, lifeMs: 6000, zone: { x: [0.1, 0.8], y: [0.15, 0.6] }, seconds: 60 },
+    { id: 'frenzy', icon: '⚡', weight: 20, lifeMs: 5000, zone: { x: [0.65, 0.85], y: [0.05, 0.3] }, ms: 10000, clickFactor: 7 },
+    { id: 'storm', icon: '🌪️', weight: 20, lifeMs: 5000, zone: { x: [0.05, 0.25], y: [0.05, 0.3] }, ms: 15000, stormCps: 10 },
+    { id: 'trap', icon: '💀', weight: 10, lifeMs: 7000, zone: { x: [0.1, 0.8], y: [0.6, 0.8] }, ms: 20000, incomeFactor: 0.5 },
+  ];
+
+  // Wait between the end of an event and the next one (ms); the verifier (clicklog.js) rejects faster claims
+  const EVENT_COOLDOWN_MS = { min: 15000, max: 30000 };
+
+  // Golden reward floor (points), so that it still counts before any production
+  const GOLDEN_MIN = { min: 100, max: 1000 };
+
+  function getEvent(id) {
+    return EVENTS.find(e => e.id === id) || null;
+  }
+
+  function isMaxed(u, s) {
+    if (!u.cap) return false;
+    const max = (typeof u.cap.max === 'function') ? u.cap.max(s) : u.cap.max;
+    return s[u.cap.key] >= max - 1e-9;
+  }
+
+  /*
+   --- Engine factory ---
+   Options:
+     - state: object to mutate (defaults to a fresh createDefaultState());
+       its BIG_KEYS fields are converted to BigNum
+     - seed / rng: seeded random source (rng wins over seed)
+     - now: clock function, injectable for simulations (default Date.now)
+     - offline: overrides for OFFLINE_DEFAULTS
+   Every action returns a small result object describing what happened,
+   so the UI can pick the right sound/toast without re-computing rules.
+  */
+  function createEngine(opts = {}) {
+    const state = reviveState(opts.state || createDefaultState());
+    const rng = opts.rng || createRng(opts.seed != null ? opts.seed : Date.now());
+    const now = opts.now || (() => Date.now());
+    const offline = Object.assign({}, OFFLINE_DEFAULTS, opts.offline);
+    let tickCarry = 0; // ms accumulated by tick() but not yet paid
+
+    // Product of one factor (clickFactor, incomeFactor) over the running event effects
+    function effectFactor(key) {
+      return Object.keys(state.effects).reduce((f, id) => {
+        const ev = getEvent(id);
+        return (ev && ev[key]) ? f * ev[key] : f;
+      }, 1);
+    }
+
+    // Multiplier shared by clicks and auto-clickers (boost + prestige + event effects)
+    function globalFactor() {
+      let f = 1;
+      if (state.tempBoostActive) f *= 2;                 // temporary boost doubles gain
+      f *= (1 + state.prestigeBonus / 100);              // prestige bonus multiplier
+      f *= effectFactor('incomeFactor');                 // trap halves gain
+      return f;
+    }
+
+    // Points of a plain click (no crit, no click frenzy)
+    function clickValue() {
+      return BigNum.from(state.multiplier * globalFactor()).floor();
+    }
+
+    // Points per second of the auto-clickers and of a running auto-click storm
+    function stormGainPerSecond() {
+      const cps = Object.keys(state.effects).reduce((n, id) => n + ((getEvent(id) || {}).stormCps || 0), 0);
+      return cps ? clickValue().mul(cps) : BigNum.ZERO;
+    }
+
+    // Points gained per second by auto-clickers with the current upgrades (BigNum)
+    function autoGainPerSecond() {
+      if (state.autoClickers <= 0) return BigNum.ZERO;
+      return BigNum.from(state.autoClickers * state.multiplier * globalFactor()).floor();
+    }
+
+    // One manual click: crit roll, score, click counter and timed-mode run (no click frenzy there)
+    function click() {
+      const isCrit = rng() < state.critChance;
+      let gain = state.multiplier * globalFactor();
+      if (!state.timedActive) gain *= effectFactor('clickFactor');
+      if (isCrit) gain *= state.critPower;
+      gain = BigNum.from(gain).floor();
+
+      state.score = state.score.add(gain);
+      state.totalClicks += 1;
+      if (state.timedActive) countTimedClick(gain, isCrit);
+      countDaily(gain, isCrit ? 'crit' : 'click');
+      return { gain, isCrit };
+    }
+
+    /*
+     Price preview for buying `amount` levels of an upgrade.
+     amount: a number of levels (1, 10...) or 'max' for as many as the score allows.
+     Levels past the cap are never counted. Returns
+     { count, total, affordable, maxed } where total (BigNum) is the exact sum
+     of the successive prices, without touching the real state.
+    */
+    function quote(id, amount = 1) {
+      const u = getUpgrade(id);
+      if (!u) return { count: 0, total: BigNum.ZERO, affordable: false, maxed: false };
+      const limit = (u.bulk === false) ? 1 : (amount === 'max' ? MAX_BULK : Math.max(1, Math.floor(amount)));
+      const sim = Object.assign({}, state);
+      const t = now();
+      let count = 0;
+      let total = BigNum.ZERO;
+      while (count < limit && !isMaxed(u, sim)) {
+        const price = sim[u.costKey];
+        if (amount === 'max' && total.add(price).gt(state.score)) break;
+        total = total.add(price);
+        u.apply(sim, t);
+        sim[u.costKey] = price.mul(u.costGrowth).floor();
+        count += 1;
+      }
+      return { count, total, affordable: count > 0 && total.lte(state.score), maxed: isMaxed(u, state) };
+    }
+
+    function canAfford(id, amount = 1) {
+      return quote(id, amount).affordable;
+    }
+
+    // Buy `amount` levels of an upgrade (see quote); returns { ok, count, cost, reason? }
+    function buy(id, amount = 1) {
+      const u = getUpgrade(id);
+      if (!u) return { ok: false, reason: 'unknown' };
+      const q = quote(id, amount);
+      if (q.maxed) return { ok: false, count: 0, cost: BigNum.ZERO, reason: 'max' };
+      if (!q.affordable) return { ok: false, count: q.count, cost: q.total, reason: 'cost' };
+
+      const t = now();
+      for (let i = 0; i < q.count; i++) {
+        const price = state[u.costKey];
+        state.score = state.score.sub(price);
+        u.apply(state, t);
+        state[u.costKey] = price.mul(u.costGrowth).floor();
+      }
+      return { ok: true, count: q.count, cost: q.total };
+    }
+
+    /*
+     --- Prestige ---
+     Needs a score of at least prestigeCost. The whole score is converted into
+     prestige points, then the run restarts from DEFAULT_STATE with the skill
+     tree applied; the next prestige needs twice the score.
+    */
+    function prestigePreview() {
+      return {
+        ok: state.score.gte(state.prestigeCost),
+        cost: state.prestigeCost,
+        points: pointsForScore(state.score),
+      };
+    }
+
+    // Fields restored to their DEFAULT_STATE value by a prestige
+    const PRESTIGE_RESET_KEYS = [
+      'score', 'totalClicks', 'autoClickers', 'multiplier', 'critChance', 'critPower',
+      'tempBoostActive', 'tempBoostEnd', 'effects',
+    ];
+
+    function prestige() {
+      const preview = prestigePreview();
+      if (!preview.ok) return { ok: false, cost: preview.cost, points: preview.points, reason: 'cost' };
+
+      state.prestigeCount += 1;
+      state.prestigePoints += preview.points;
+      state.prestigePointsTotal += preview.points;
+
+      // --- Soft reset of progress (same values as a new game) ---
+      const fresh = createDefaultState();
+      PRESTIGE_RESET_KEYS.forEach(k => { state[k] = fresh[k]; });
+
+      // --- Skills applied at the start of each run ---
+      state.autoClickers = 2 * skillLevel(state, 'startAuto');
+      const discount = 1 - 0.05 * skillLevel(state, 'cheaper');
+      UPGRADES.forEach(u => { state[u.costKey] = fresh[u.costKey].mul(discount).floor(); });
+      if (!skillLevel(state, 'keepSkins')) {
+        state.ownedSkins = [];
+        state.currentSkin = 'default';
+      }
+
+      state.prestigeCost = preview.cost.mul(2).floor();
+      return { ok: true, cost: preview.cost, points: preview.points };
+    }
+
+    // Keeps prestigeBonus in sync with the "gains" skill
+    function applySkillBonuses() {
+      state.prestigeBonus = 10 * skillLevel(state, 'gains');
+    }
+
+    /*
+     Buys one level of a skill with prestige points.
+     Returns { ok, level } or { ok: false, reason: 'unknown' | 'max' | 'locked' | 'points' }.
+    */
+    function buySkill(id) {
+      const k = getSkill(id);
+      if (!k) return { ok: false, reason: 'unknown' };
+      const level = skillLevel(state, id);
+      if (level >= k.max) return { ok: false, level, reason: 'max' };
+      const locked = Object.keys(k.requires || {}).some(r => skillLevel(state, r) < k.requires[r]);
+      if (locked) return { ok: false, level, reason: 'locked' };
+      if (state.prestigePoints < k.cost) return { ok: false, level, reason: 'points' };
+
+      state.prestigePoints -= k.cost;
+      state.skills = Object.assign({}, state.skills, { [id]: level + 1 });
+      applySkillBonuses();
+      return { ok: true, level: level + 1 };
+    }
+
+    /*
+     Respec: every skill back to 0 and all earned points refunded.
+     Effects granted at the start of the current run (auto-clickers, prices)
+     are kept until the next prestige.
+    */
+    function respec() {
+      const refunded = state.prestigePointsTotal - state.prestigePoints;
+      state.skills = {};
+      state.prestigePoints = state.prestigePointsTotal;
+      applySkillBonuses();
+      state.critChance = Math.min(state.critChance, critCap(state));
+      return { ok: true, refunded };
+    }
+
+    /*
+     Advance passive income by `ms` milliseconds.
+     Auto-clickers (and an auto-click storm) pay once per full AUTO_TICK_MS;
+     leftovers carry over to the next call. Also ends the temporary boost and
+     the event effects once expired.
+    */
+    function tick(ms) {
+      tickCarry += ms;
+      let gain = BigNum.ZERO;
+      while (tickCarry >= AUTO_TICK_MS) {
+        tickCarry -= AUTO_TICK_MS;
+        gain = gain.add(autoGainPerSecond()).add(stormGainPerSecond());
+      }
+      if (!gain.isZero()) {
+        state.score = state.score.add(gain);
+        countDaily(gain);
+      }
+
+      let boostEnded = false;
+      if (state.tempBoostActive && now() > state.tempBoostEnd) {
+        state.tempBoostActive = false;
+        boostEnded = true;
+      }
+      return { gain, boostEnded, effectsEnded: endEffects(now()) };
+    }
+
+    // Stops the event effects over at `t`; returns their ids
+    function endEffects(t) {
+      const ended = Object.keys(state.effects).filter(id => t > state.effects[id]);
+      if (ended.length) {
+        state.effects = Object.assign({}, state.effects);
+        ended.forEach(id => { delete state.effects[id]; });
+      }
+      return ended;
+    }
+
+    /*
+     Credit auto-click income for the time elapsed since `lastSeen`.
+     The boosted part of the gap is paid x2 only until tempBoostEnd,
+     and a boost that ran out during the absence is switched off (event
+     effects too; they do not change offline income).
+     Returns { elapsedMs, creditedMs, gain, boostEnded, effectsEnded }.
+    */
+    function applyOffline(lastSeen) {
+      const t = now();
+      const elapsedMs = lastSeen ? Math.max(0, t - lastSeen) : 0;
+      const creditedMs = (elapsedMs >= offline.minMs) ? Math.min(elapsedMs, offline.maxMs) : 0;
+
+      let gain = BigNum.ZERO;
+      if (creditedMs > 0 && state.autoClickers > 0) {
+        let boostedMs = 0;
+        if (state.tempBoostActive) {
+          boostedMs = Math.min(creditedMs, Math.max(0, state.tempBoostEnd - lastSeen));
+        }
+        const perSecond = state.autoClickers * state.multiplier * (1 + state.prestigeBonus / 100);
+        gain = BigNum.from(perSecond * ((creditedMs + boostedMs) / 1000) * offline.efficiency).floor();
+        state.score = state.score.add(gain);
+      }
+
+      let boostEnded = false;
+      if (state.tempBoostActive && t > state.tempBoostEnd) {
+        state.tempBoostActive = false;
+        boostEnded = true;
+      }
+      return { elapsedMs, creditedMs, gain, boostEnded, effectsEnded: endEffects(t) };
+    }
+
+    /*
+     Claims a random event (see EVENTS). The golden Pikachu pays `seconds` of production
+     (auto-clickers, storm and one plain click per second), never less than GOLDEN_MIN;
+     other events start (or restart) their effect for `ms`.
+     Returns { ok, id, bonus, endsAt } or { ok: false, reason: 'unknown' }.
+    */
+    function claimBonus(id = 'golden') {
+      const ev = getEvent(id);
+      if (!ev) return { ok: false, id, bonus: BigNum.ZERO, reason: 'unknown' };
+
+      let bonus = BigNum.ZERO;
+      if (ev.seconds) {
+        const floor = BigNum.from(Math.floor(GOLDEN_MIN.min + rng() * (GOLDEN_MIN.max - GOLDEN_MIN.min)));
+        const perSecond = autoGainPerSecond().add(stormGainPerSecond()).add(clickValue());
+        bonus = BigNum.max(floor, perSecond.mul(ev.seconds).floor());
+        state.score = state.score.add(bonus);
+        countDaily(bonus);
+      }
+      let endsAt = 0;
+      if (ev.ms) {
+        endsAt = now() + ev.ms;
+        state.effects = Object.assign({}, state.effects, { [id]: endsAt });
+      }
+      return { ok: true, id, bonus, endsAt };
+    }
+
+    // Progress of a running daily challenge: `gain` points, plus one click (or crit)
+    let dailyRecent = []; // click times of the last second (cps challenge)
+    function countDaily(gain, kind) {
+      const d = state.daily;
+      if (!d.active || d.claimedToday) return;
+      const t = now();
+      if (t > d.expiresAt) return;
+      if (d.type === 'points') {
+        d.progress = Math.min(d.target, d.progress + gain.toNumber());
+      } else if (d.type === 'crits') {
+        if (kind === 'crit') d.progress += 1;
+      } else if (d.type === 'clicks') {
+        if (kind) d.progress += 1;
+      } else if (d.type === 'cps' && kind) {
+        dailyRecent.push(t);
+        while (dailyRecent[0] <= t - 1000) dailyRecent.shift();
+        d.progress = Math.max(d.progress, dailyRecent.length);
+      }
+    }
+
+    /*
+     Sets the challenge of a UTC day (default: today). Days only move forward,
+     so a finished challenge cannot be rolled again for another reward.
+    */
+    function rollDaily(day = dayKey(now())) {
+      if (state.daily.day && day <= state.daily.day) return { ok: false, reason: 'rolled' };
+      Object.assign(state.daily, dailyFor(day), {
+        active: false,
+        progress: 0,
+        expiresAt: 0,
+        startedAt: 0,
+        claimedToday: false,
+      });
+      dailyRecent = [];
+      return { ok: true, day, type: state.daily.type, target: state.daily.target, rewardPct: state.daily.rewardPct };
+    }
+
+    // Starts the rolled daily challenge, once per day: DAILY_WINDOW_MS to reach the target
+    function startDaily() {
+      const t = now();
+      if (state.daily.claimedToday) return { ok: false, reason: 'claimed' };
+      if (state.daily.startedAt) return { ok: false, reason: 'started' };
+      state.daily.active = true;
+      state.daily.progress = 0;
+      state.daily.startedAt = t;
+      state.daily.expiresAt = t + DAILY_WINDOW_MS;
+      dailyRecent = [];
+      setHistory(state.daily.day, 'attempted');
+      return { ok: true, expiresAt: state.daily.expiresAt };
+    }
+
+    // Writes one day of the calendar, forgetting days older than HISTORY_DAYS
+    function setHistory(day, status) {
+      state.dailyHistory[day] = status;
+      Object.keys(state.dailyHistory).forEach(d => {
+        if (daysBetween(d, day) > HISTORY_DAYS) delete state.dailyHistory[d];
+      });
+    }
+
+    // Streak after winning `day`: +1 if the days missed since the last win are covered by freezes
+    function extendStreak(day) {
+      const frozen = [];
+      const missed = state.dailyLastWin ? daysBetween(state.dailyLastWin, day) - 1 : -1;
+      if (missed === 0) {
+        state.dailyStreak += 1;
+      } else if (missed > 0 && missed <= state.streakFreezes) {
+        state.streakFreezes -= missed;
+        for (let i = 1; i <= missed; i++) {
+          const d = addDays(state.dailyLastWin, i);
+          setHistory(d, 'frozen');
+          frozen.push(d);
+        }
+        state.dailyStreak += 1;
+      } else {
+        state.dailyStreak = 1;
+      }
+      state.dailyLastWin = day;
+      state.dailyBestStreak = Math.max(state.dailyBestStreak, state.dailyStreak);
+      return frozen;
+    }
+
+    /*
+     Daily challenge success: the target is reached before the challenge
+     expires, the x2 boost runs for dailyRewardMs(streak) (a boost already running
+     longer keeps its end). Only once per rolled
+     challenge; the time taken is kept for the daily leaderboard.
+    */
+    function completeDaily() {
+      if (state.daily.claimedToday) return { ok: false, reason: 'claimed' };
+      if (!state.daily.active) return { ok: false, reason: 'inactive' };
+      const t = now();
+      if (t > state.daily.expiresAt) return { ok: false, reason: 'expired' };
+      if (state.daily.progress < state.daily.target) return { ok: false, reason: 'target' };
+      setHistory(state.daily.day, 'won');
+      const frozen = extendStreak(state.daily.day);
+      const expiresAt = t + dailyRewardMs(state.dailyStreak);
+      state.daily.claimedToday = true;
+      state.daily.active = false;
+      state.daily.expiresAt = expiresAt;
+      state.daily.completedInMs = t - state.daily.startedAt;
+      state.daily.completedOn = state.daily.day;
+      state.tempBoostActive = true;
+      state.tempBoostEnd = Math.max(state.tempBoostEnd, expiresAt);
+      return { ok: true, expiresAt, completedInMs: state.daily.completedInMs, streak: state.dailyStreak, frozen };
+    }
+
+    function buyStreakFreeze() {
+      if (state.streakFreezes >= STREAK_FREEZE_MAX) return { ok: false, reason: 'max' };
+      if (state.score.lt(STREAK_FREEZE_COST)) return { ok: false, reason: 'cost' };
+      state.score = state.score.sub(STREAK_FREEZE_COST);
+      state.streakFreezes += 1;
+      return { ok: true, count: state.streakFreezes };
+    }
+
+    // Weekly challenge reward, once per week
+    function claimWeekly() {
+      const weekly = weeklyStatus(state, dayKey(now()));
+      if (weekly.claimed) return { ok: false, reason: 'claimed' };
+      if (!weekly.claimable) return { ok: false, reason: 'target' };
+      state.weekly.week = weekly.week;
+      state.weekly.claimed = true;
+      state.prestigePoints += WEEKLY_REWARD;
+      state.prestigePointsTotal += WEEKLY_REWARD;
+      return { ok: true, points: WEEKLY_REWARD };
+    }
+
+    /*
+     --- Timed mode ---
+     Scoring rule: only manual clicks count, with their full gain (crits,
+     prestige skills, boosts); auto-clickers and bonuses do not.
+     endTimed() keeps the best run of each duration (timedBestKey); a run ended
+     more than TIMED_SLACK_MS after its time ran out does not count. Session
+     fields are not saved, so starting again simply replaces a run cut by a reload.
+     Click count, crits and peak CPS are kept for the results screen only.
+    */
+    let timedRun = null;
+
+    function countTimedClick(gain, isCrit) {
+      if (!timedRun) timedRun = { clicks: 0, crits: 0, recent: [], peakCps: 0 };
+      state.timedScore = state.timedScore.add(gain);
+      timedRun.clicks += 1;
+      if (isCrit) timedRun.crits += 1;
+      // peak CPS = most clicks within one second
+      const t = now();
+      timedRun.recent.push(t);
+      while (timedRun.recent[0] <= t - 1000) timedRun.recent.shift();
+      timedRun.peakCps = Math.max(timedRun.peakCps, timedRun.recent.length);
+    }
+
+    function startTimed(seconds = 60) {
+      if (!TIMED_DURATIONS.includes(seconds)) return { ok: false, reason: 'duration' };
+      state.timedActive = true;
+      state.timedDuration = seconds;
+      state.timedStartedAt = now();
+      state.timedTimeLeft = seconds;
+      state.timedScore = BigNum.ZERO;
+      timedRun = { clicks: 0, crits: 0, recent: [], peakCps: 0 };
+      return { ok: true, duration: seconds };
+    }
+
+    function endTimed() {
+      if (!state.timedActive) return { ok: false, reason: 'inactive' };
+      const duration = state.timedDuration;
+      const run = timedRun || { clicks: 0, crits: 0, peakCps: 0 };
+      const key = timedBestKey(duration);
+      state.timedActive = false;
+      state.timedTimeLeft = 0;
+      timedRun = null;
+
+      const late = now() - state.timedStartedAt > duration * 1000 + TIMED_SLACK_MS;
+      const record = !late && state.timedScore.gt(state[key]);
+      if (record) state[key] = state.timedScore;
+      return {
+        ok: true,
+        duration,
+        score: state.timedScore,
+        best: state[key],
+        record,
+        late,
+        clicks: run.clicks,
+        crits: run.crits,
+        avgCps: run.clicks / duration,
+        peakCps: run.peakCps,
+      };
+    }
+
+    // Pays `amount` points for something outside the upgrade catalog (skins)
+    function spend(amount) {
+      const cost = BigNum.from(amount);
+      if (cost.lt(0) || state.score.lt(cost)) return { ok: false, reason: 'cost' };
+      state.score = state.score.sub(cost);
+      return { ok: true, cost };
+    }
+
+    return {
+      state,
+      rng,
+      click,
+      buy,
+      quote,
+      canAfford,
+      prestige,
+      tick,
+      applyOffline,
+      claimBonus,
+      rollDaily,
+      startDaily,
+      completeDaily,
+      buyStreakFreeze,
+      claimWeekly,
+      startTimed,
+      endTimed,
+      spend,
+      autoGainPerSecond,
+      prestigePreview,
+      buySkill,
+      respec,
+    };
+  }
+
+  const PikaEngine = {
+    DEFAULT_STATE,
+    AUTO_TICK_MS,
+    TEMP_BOOST_MS,
+    DAILY_REWARD_MS,
+    DAILY_WINDOW_MS,
+    DAILY_TYPES,
+    STREAK_FREEZE_COST,
+    STREAK_FREEZE_MAX,
+    WEEKLY_TARGET,
+    WEEKLY_REWARD,
+    TIMED_DURATIONS,
+    OFFLINE_DEFAULTS,
+    UPGRADES,
+    SKILLS,
+    EVENTS,
+    EVENT_COOLDOWN_MS,
+    BIG_KEYS,
+    PRESTIGE_POINTS_BASE,
+    getUpgrade,
+    getSkill,
+    getEvent,
+    boostMs,
+    timedBestKey,
+    dayKey,
+    weekOf,
+    dailyFor,
+    dailyRewardMs,
+    streakStatus,
+    weeklyStatus,
+    dailyCalendar,
+    skillLevel,
+    pointsForScore,
+    createDefaultState,
+    reviveState,
+    createRng,
+    createEngine,
+  };
+
+  // Browser: global `PikaEngine` / Node: require('./engine.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaEngine;
+  else root.PikaEngine = PikaEngine;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,125 @@
+/*
+  FILE: events.js
+  GROUP: Game rules / Random event scheduler (headless, no DOM)
+
+  Notes:
+  - Fait apparaître les événements aléatoires du catalogue engine.js EVENTS (Pikachu doré,
+    frénésie de clics, tempête d'auto-clics, piège) un par un : attente tirée dans
+    EVENT_COOLDOWN_MS, type tiré selon les poids (`weight`), position tirée dans la zone du type,
+    puis l'événement reste `lifeMs` (multiplié par le réglage d'accessibilité, voir script.js).
+  - Chaque événement a un numéro : `claim(id)` ne le rend qu'une fois, et jamais après son
+    expiration ; l'attente avant le suivant commence au clic ou à l'expiration.
+  - Les gains et effets sont calculés par le moteur (engine.claimBonus) : ce fichier ne touche
+    ni au score ni au DOM.
+  - SAFE TO EDIT: poids, durées et zones dans engine.js EVENTS.
+*/
+(function (root) {
+  'use strict';
+
+  const PikaEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.PikaEngine;
+
+  // Weighted draw over `defs` (entries with a positive weight); null when none can be drawn
+  function pickWeighted(defs, random = Math.random) {
+    const pool = defs.filter(d => d.weight > 0);
+    const total = pool.reduce((sum, d) => sum + d.weight, 0);
+    let r = random() * total;
+    for (const d of pool) {
+      r -= d.weight;
+      if (r < 0) return d;
+    }
+    return pool.length ? pool[pool.length - 1] : null;
+  }
+
+  // Position in a zone { x: [min, max], y: [min, max] }, as fractions of the spawn area
+  function placeIn(zone, random = Math.random) {
+    const at = ([min, max]) => min + random() * (max - min);
+    return { x: at(zone.x), y: at(zone.y) };
+  }
+
+  /*
+   --- Scheduler ---
+   opts: {
+     defs (default PikaEngine.EVENTS), cooldown { min, max } (default PikaEngine.EVENT_COOLDOWN_MS),
+     random, setTimeout, clearTimeout,
+     lifeMs(def): claimable time of a spawned event (default def.lifeMs),
+     canSpawn(): false to skip this turn (timed run...), the next try comes after another wait,
+     onSpawn(event), onExpire(event)
+   }
+   event: { id, type, def, x, y, lifeMs }
+  */
+  function createScheduler(opts = {}) {
+    const defs = opts.defs || PikaEngine.EVENTS;
+    const cooldown = opts.cooldown || PikaEngine.EVENT_COOLDOWN_MS;
+    const random = opts.random || Math.random;
+    const later = opts.setTimeout || ((fn, ms) => setTimeout(fn, ms));
+    const cancel = opts.clearTimeout || (id => clearTimeout(id));
+    const lifeMs = opts.lifeMs || (def => def.lifeMs);
+    const canSpawn = opts.canSpawn || (() => true);
+    const onSpawn = opts.onSpawn || (() => { });
+    const onExpire = opts.onExpire || (() => { });
+
+    let live = null;    // event shown now
+    let timer = null;   // next spawn or expiry of `live`
+    let serial = 0;
+    let running = false;
+
+    function wait() {
+      if (timer !== null) cancel(timer);
+      timer = later(spawn, cooldown.min + random() * (cooldown.max - cooldown.min));
+    }
+
+    function spawn() {
+      timer = null;
+      const def = canSpawn() ? pickWeighted(defs, random) : null;
+      if (!def) { wait(); return; }
+      const pos = placeIn(def.zone, random);
+      live = { id: ++serial, type: def.id, def, x: pos.x, y: pos.y, lifeMs: lifeMs(def) };
+      timer = later(expire, live.lifeMs);
+      onSpawn(live);
+    }
+
+    function expire() {
+      timer = null;
+      const ev = live;
+      live = null;
+      wait();
+      if (ev) onExpire(ev);
+    }
+
+    // Takes the event shown now; null if `id` is not it (already claimed, expired or unknown)
+    function claim(id) {
+      if (!live || live.id !== id) return null;
+      const ev = live;
+      live = null;
+      wait();
+      return ev;
+    }
+
+    function start() {
+      if (running) return;
+      running = true;
+      wait();
+    }
+
+    // Stops spawning; an event still shown expires at once
+    function stop() {
+      running = false;
+      if (timer !== null) { cancel(timer); timer = null; }
+      const ev = live;
+      live = null;
+      if (ev) onExpire(ev);
+    }
+
+    return { start, stop, claim, current: () => live, running: () => running };
+  }
+
+  const PikaEvents = {
+    pickWeighted,
+    placeIn,
+    createScheduler,
+  };
+
+  // Browser: global `PikaEvents` / Node: require('./events.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaEvents;
+  else root.PikaEvents = PikaEvents;
+})(typeof window !== 'undefined' ? window : globalThis);
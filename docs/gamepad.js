@@ -0,0 +1,191 @@
+/*
+  FILE: gamepad.js
+  GROUP: Input / Gamepad polling, controller profiles and spatial navigation (headless, no DOM)
+
+  Notes:
+  - `createGamepadPoller(opts)` lit toutes les manettes branchées à chaque appel de poll()
+    (script.js l'appelle à chaque image) et ne signale que les changements :
+    onButton(index, pad) à l'appui d'un bouton, onRelease(index, pad) quand il remonte, onMove('up'|'down'|'left'|'right', pad) pour la
+    croix et le stick gauche (répétition si on reste appuyé), onConnect / onDisconnect.
+    getGamepads et now sont injectables : on peut le tester sous Node avec de fausses manettes.
+  - Profils (PROFILES) : Xbox, PlayStation, Switch, reconnus dans `gamepad.id` ; ils ne changent
+    que les noms affichés des boutons (glyphs), les index restent ceux du mapping "standard".
+  - `pickNext(from, targets, dir)` choisit la cible la plus proche dans une direction à partir
+    de rectangles { x, y, width, height } : la navigation de script.js l'utilise sur les éléments
+    visibles de la page ou de la fenêtre ouverte.
+  - SAFE TO EDIT: noms des boutons, motifs de détection, délais de répétition, zone morte.
+  - CAUTION: BUTTONS suit le mapping "standard" du W3C (0 = bouton du bas, 12–15 = croix).
+*/
+(function (root) {
+  'use strict';
+
+  // Standard mapping indexes used by the menus
+  const BUTTONS = { confirm: 0, back: 1, menu: 9, up: 12, down: 13, left: 14, right: 15 };
+  const DPAD = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+  /*
+   --- Controller profiles ---
+   glyphs: one name per standard button index (0..16), match: tested on gamepad.id
+   (vendor ids: 045e Microsoft, 054c Sony, 057e Nintendo).
+  */
+  const PROFILES = {
+    xbox: {
+      label: 'Xbox',
+      match: /xbox|xinput|045e/i,
+      glyphs: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS', '↑', '↓', '←', '→', 'Xbox'],
+    },
+    playstation: {
+      label: 'PlayStation',
+      match: /playstation|dualshock|dualsense|sony|054c/i,
+      glyphs: ['✕', '○', '□', '△', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3', '↑', '↓', '←', '→', 'PS'],
+    },
+    switch: {
+      label: 'Switch',
+      match: /switch|nintendo|joy-con|pro controller|057e/i,
+      glyphs: ['B', 'A', 'Y', 'X', 'L', 'R', 'ZL', 'ZR', '−', '+', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'],
+    },
+    generic: {
+      label: 'Gamepad',
+      match: null,
+      glyphs: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'],
+    },
+  };
+
+  function detectProfile(id) {
+    const key = Object.keys(PROFILES).find(k => PROFILES[k].match && PROFILES[k].match.test(id || ''));
+    return key || 'generic';
+  }
+
+  function glyph(profile, index) {
+    const p = PROFILES[profile] || PROFILES.generic;
+    return p.glyphs[index] || `#${index}`;
+  }
+
+  /*
+   --- Polling ---
+   opts: { getGamepads, now, deadzone, repeatDelay, repeatRate,
+           onButton(index, pad), onRelease(index, pad), onMove(dir, pad), onConnect(pad), onDisconnect(pad) }
+   pad: { index, id, profile } of the controller that did it.
+  */
+  function createGamepadPoller(opts = {}) {
+    const getGamepads = opts.getGamepads || (() => []);
+    const now = opts.now || Date.now;
+    const deadzone = opts.deadzone || 0.5;
+    const repeatDelay = opts.repeatDelay || 350; // hold time before a direction repeats
+    const repeatRate = opts.repeatRate || 120;   // then one move every repeatRate ms
+    const pads = {}; // gamepad.index → { info, buttons: [pressed], dir, nextRepeat }
+
+    function call(name, ...args) {
+      if (typeof opts[name] === 'function') opts[name](...args);
+    }
+
+    // Direction held on a pad: D-pad first, then the dominant stick axis
+    function directionOf(gp) {
+      for (const i of Object.keys(DPAD)) {
+        const b = gp.buttons[i];
+        if (b && b.pressed) return DPAD[i];
+      }
+      const x = gp.axes[0] || 0;
+      const y = gp.axes[1] || 0;
+      if (Math.max(Math.abs(x), Math.abs(y)) < deadzone) return null;
+      if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+      return y > 0 ? 'down' : 'up';
+    }
+
+    function poll() {
+      let list = [];
+      try { list = Array.from(getGamepads() || []); } catch (e) {}
+      const t = now();
+      const seen = {};
+
+      list.forEach(gp => {
+        if (!gp || gp.connected === false) return;
+        seen[gp.index] = true;
+        let pad = pads[gp.index];
+        if (!pad || pad.info.id !== gp.id) {
+          pad = pads[gp.index] = {
+            info: { index: gp.index, id: gp.id, profile: detectProfile(gp.id) },
+            buttons: [], dir: null, nextRepeat: 0,
+          };
+          call('onConnect', pad.info);
+        }
+
+        gp.buttons.forEach((b, i) => {
+          const pressed = !!(b && b.pressed);
+          if (pressed && !pad.buttons[i] && !DPAD[i]) call('onButton', i, pad.info);
+          else if (!pressed && pad.buttons[i] && !DPAD[i]) call('onRelease', i, pad.info);
+          pad.buttons[i] = pressed;
+        });
+
+        const dir = directionOf(gp);
+        if (dir && dir !== pad.dir) {
+          pad.nextRepeat = t + repeatDelay;
+          call('onMove', dir, pad.info);
+        } else if (dir && t >= pad.nextRepeat) {
+          pad.nextRepeat = t + repeatRate;
+          call('onMove', dir, pad.info);
+        }
+        pad.dir = dir;
+      });
+
+      Object.keys(pads).forEach(index => {
+        if (seen[index]) return;
+        call('onDisconnect', pads[index].info);
+        delete pads[index];
+      });
+    }
+
+    return {
+      poll,
+      connected: () => Object.keys(pads).map(i => pads[i].info),
+    };
+  }
+
+  /*
+   --- Spatial navigation ---
+   from: rectangle of the current target (null = nothing focused yet), targets: rectangles.
+   Returns the index of the nearest target whose center lies in `dir`, or -1.
+   Distance = gap along the direction + twice the offset across it, so a target
+   straight ahead beats a closer one far to the side.
+  */
+  function pickNext(from, targets, dir) {
+    const center = r => ({ x: r.x + r.width / 2, y: r.y + r.height / 2 });
+    if (!from) {
+      let best = -1;
+      targets.forEach((r, i) => {
+        if (best < 0 || r.y < targets[best].y || (r.y === targets[best].y && r.x < targets[best].x)) best = i;
+      });
+      return best;
+    }
+    const c = center(from);
+    const axis = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] }[dir];
+    if (!axis) return -1;
+
+    let best = -1;
+    let bestScore = Infinity;
+    targets.forEach((r, i) => {
+      const o = center(r);
+      const dx = o.x - c.x;
+      const dy = o.y - c.y;
+      const along = dx * axis[0] + dy * axis[1];
+      if (along <= 1) return; // behind or level with the current target
+      const across = Math.abs(dx * axis[1]) + Math.abs(dy * axis[0]);
+      const score = along + across * 2;
+      if (score < bestScore) { bestScore = score; best = i; }
+    });
+    return best;
+  }
+
+  const PikaGamepad = {
+    BUTTONS,
+    PROFILES,
+    detectProfile,
+    glyph,
+    createGamepadPoller,
+    pickNext,
+  };
+
+  // Browser: global `PikaGamepad` / Node: require('./gamepad.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaGamepad;
+  else root.PikaGamepad = PikaGamepad;
+})(typeof window !== 'undefined' ? window : globalThis);
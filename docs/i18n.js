@@ -0,0 +1,898 @@
+/*
+  FILE: i18n.js
+  GROUP: Presentation / Translations (headless, no DOM)
+
+  Notes:
+  - Catalogue des textes de l'interface, une table par langue (MESSAGES.fr, MESSAGES.en).
+    `script.js` ne contient plus de texte affiché en dur : il appelle t('clé', { paramètres }).
+  - Interpolation : "Rang : {rank}" → t('board.rank', { rank: 3 }). Les nombres passés en
+    paramètre sont formatés selon la langue (1 000 / 1,000), les chaînes sont insérées telles quelles.
+  - Pluriels : un message peut être un objet { one, other } (règles Intl.PluralRules),
+    choisi d'après le paramètre `count`.
+  - Une clé absente de la langue choisie retombe sur le français (DEFAULT_LANG), puis sur la clé elle-même.
+  - Dans index.html, les éléments portant data-i18n="clé" (ou data-i18n-title, data-i18n-placeholder,
+    data-i18n-aria-label, data-i18n-alt) sont traduits par script.js (applyTranslations).
+  - SAFE TO EDIT: les textes des deux tables, ajouter une langue dans LANGS + MESSAGES.
+  - CAUTION: garder les mêmes clés et les mêmes {paramètres} dans toutes les langues.
+*/
+(function (root) {
+  'use strict';
+
+  const DEFAULT_LANG = 'fr';
+  const LANG_KEY = 'lang'; // localStorage key of the chosen language
+
+  // Supported languages: label shown in the selector and Intl locale (numbers, dates, plurals)
+  const LANGS = {
+    fr: { label: 'Français', locale: 'fr-FR' },
+    en: { label: 'English', locale: 'en-US' },
+  };
+
+  /*
+   --- Messages ---
+   Flat tables "area.name" → text. Keep both tables in the same order.
+  */
+  const MESSAGES = {
+    fr: {
+      // Header and settings
+      'app.title': '🎯 Le Clicker du Groupe Pikagirl',
+      'settings.music': 'Musique',
+      'settings.sounds': 'Sons',
+      'settings.theme': 'Thème',
+      'theme.normal': 'Normal',
+      'theme.feu': 'Feu',
+      'theme.glace': 'Glace',
+      'theme.BW': 'Noir et blanc',
+      'settings.lang': 'Langue',
+      'settings.notation': 'Affichage des grands nombres',
+      'settings.notation.suffix': 'Nombres : 1,5M',
+      'settings.notation.scientific': 'Nombres : 1,5e6',
+      'settings.soundType': 'Type de son',
+      'settings.soundType.master': 'Général',
+      'settings.soundType.click': 'Clic',
+      'settings.soundType.crit': 'Critique',
+      'settings.soundType.achievement': 'Succès',
+      'settings.soundType.music': 'Musique',
+      'menu.save': '💾 Sauvegarder',
+      'menu.export': '📤 Exporter',
+      'menu.import': '📥 Importer',
+      'menu.stats': '📊 Statistiques',
+      'menu.bindings': '🎮 Commandes',
+      'menu.a11y': '♿ Accessibilité',
+      'menu.journal': '📜 Journal',
+      'menu.back': '🔙 Retour',
+      'menu.backToast': '🔙 Retour au menu principal',
+      'common.close': 'Fermer',
+
+      // Stats popup
+      'stats.title': '📊 Tes statistiques',
+      'stats.cps': 'Clics par seconde (CPS) :',
+      'stats.prestige': 'Prestiges :',
+      'stats.bestTimed': 'Meilleurs scores chronométrés :',
+      'stats.lifetime': 'Depuis le début',
+      'stats.run': 'Cette partie',
+      'stats.row.clicks': 'Clics',
+      'stats.row.crits': 'Critiques',
+      'stats.row.earned': 'Points gagnés',
+      'stats.row.spent': 'Points dépensés',
+      'stats.row.spentOn': '↳ {name}',
+      'stats.row.bonuses': 'Événements',
+      'stats.bonusValue': '{count} ({points} pts)',
+      'stats.row.playtime': 'Temps de jeu',
+      'stats.row.peakCps': 'CPS max',
+      'stats.chartScore': 'Points par minute',
+      'stats.chartCps': 'Clics par seconde',
+      'stats.chartEmpty': 'Un point toutes les {seconds} s de jeu…',
+      'stats.runs': 'Parties (une par prestige)',
+      'stats.runTime': 'Durée',
+      'stats.runClicks': 'Clics',
+      'stats.runEarned': 'Points',
+      'stats.runPeak': 'CPS max',
+      'stats.runCurrent': '#{number} (en cours)',
+
+      // Controls popup (bindings.js)
+      'bindings.title': '🎮 Commandes',
+      'bindings.hint': 'Clique sur une touche pour la changer. Manette : croix ou stick pour se déplacer, {confirm} pour valider, {back} pour revenir, {menu} pour le menu.',
+      'bindings.action': 'Action',
+      'bindings.keyboard': 'Clavier',
+      'bindings.gamepad': 'Manette',
+      'bindings.press': 'Appuie sur une touche… (Échap : annuler, Suppr : aucune)',
+      'bindings.pressPad': 'Appuie sur un bouton de la manette… (Échap ou {back} : annuler)',
+      'bindings.conflict': '{input} sert déjà à « {action} ». La lui retirer ?',
+      'bindings.reserved': '{input} est réservé aux menus',
+      'bindings.reset': 'Commandes par défaut',
+      'bindings.resetDone': '🎮 Commandes remises par défaut',
+      'bindings.action.click': 'Cliquer',
+      'bindings.action.buyAuto': 'Acheter un Auto-Click',
+      'bindings.action.buyMult': 'Acheter un Multiplicateur',
+      'bindings.action.buyCritChance': 'Acheter Crit%',
+      'bindings.action.buyCritPower': 'Acheter Crit x',
+      'bindings.action.buyTempBoost': 'Acheter le Boost',
+      'bindings.action.prestige': 'Prestige',
+      'bindings.action.bonus': "Prendre l'événement",
+      'bindings.action.timed': 'Lancer le mode chrono',
+      'bindings.action.stats': 'Statistiques',
+
+      // Event journal (journal.js)
+      'journal.title': '📜 Journal',
+      'journal.filter': "Type d'événement",
+      'journal.all': 'Tous les événements',
+      'journal.exportCsv': '📤 CSV',
+      'journal.exportJson': '📤 JSON',
+      'journal.exported': '📜 Journal exporté',
+      'journal.count': '{count} événement(s) ({max} gardés au plus)',
+      'journal.time': 'Date',
+      'journal.event': 'Événement',
+      'journal.score': 'Score',
+      'journal.type.buy': 'Achat',
+      'journal.type.prestige': 'Prestige',
+      'journal.type.bonus': 'Événement aléatoire',
+      'journal.type.daily': 'Défi du jour',
+      'journal.type.dailyWon': 'Défi réussi',
+      'journal.type.weekly': 'Défi de la semaine',
+      'journal.type.freeze': 'Gel de série',
+      'journal.type.skill': 'Compétence',
+      'journal.type.respec': 'Réinitialisation',
+      'journal.type.achievement': 'Succès',
+      'journal.type.skin': 'Skin',
+      'journal.type.timed': 'Mode chrono',
+      'journal.detail.buy': '{count} × {name} pour {cost}',
+      'journal.detail.prestige': 'n°{number}, +{points} point(s) de prestige',
+      'journal.detail.daily': '{goal}',
+      'journal.detail.dailyWon': 'série de {streak} jour(s)',
+      'journal.detail.weekly': '+{points} point(s) de prestige',
+      'journal.detail.freeze': '{count} gel(s) en réserve',
+      'journal.detail.skill': '{name} niveau {level}',
+      'journal.detail.respec': '{count} point(s) rendus',
+      'journal.detail.achievement': '{name}',
+      'journal.detail.skin': '{name} pour {cost}',
+      'journal.detail.timed': '{duration} s : {score}',
+
+      // Accessibility (a11y.js)
+      'a11y.title': '♿ Accessibilité',
+      'a11y.motion': 'Animations',
+      'a11y.motion.auto': 'Comme le système',
+      'a11y.motion.reduce': 'Réduites',
+      'a11y.motion.full': 'Toutes',
+      'a11y.bonusWindow': 'Durée des événements',
+      'a11y.bonusWindow.1': 'Normale',
+      'a11y.bonusWindow.2': 'x2',
+      'a11y.bonusWindow.3': 'x3',
+      'a11y.holdToClick': 'Clic maintenu',
+      'a11y.announceScore': 'Lire le score',
+      'a11y.hint': 'Le clic maintenu continue de cliquer, au plus {cps} fois par seconde. Les événements rapportent autant quelle que soit leur durée.',
+      'a11y.score': 'Score : {score}',
+
+      // Start screen and profiles
+      'start.label': 'Entre ton pseudo :',
+      'start.placeholder': 'Ton pseudo',
+      'start.button': 'Commencer',
+      'start.pseudoRequired': 'Le pseudo est obligatoire !',
+      'profile.new': '👤 Nouveau profil : {pseudo}',
+      'profile.meta': 'Score : {score} · Prestige : {prestige}',
+      'profile.unreadable': 'Sauvegarde illisible',
+      'profile.play': 'Jouer avec ce profil',
+      'profile.rename': 'Renommer',
+      'profile.delete': 'Supprimer',
+      'profile.renamePrompt': 'Nouveau pseudo pour {pseudo} :',
+      'profile.taken': 'Ce pseudo est déjà utilisé.',
+      'profile.renamed': '✏️ Profil renommé : {pseudo}',
+      'profile.deleteConfirm': 'Supprimer le profil {pseudo} et toute sa progression ? Cela ne peut pas être annulé.',
+      'profile.deleted': '🗑️ Profil supprimé : {pseudo}',
+      'reset.confirm': 'Êtes-vous sûr de vouloir réinitialiser votre score ? Cela ne peut pas être annulé.',
+      'reset.done': '🔄 Réinitialisation du score et de la progression !',
+
+      // Game area
+      'route.title': 'Route aux Poké Balls',
+      'route.reached': 'Palier {name} atteint !',
+      'click.button': 'Cliquer !',
+      'click.hint': 'Appuie sur Espace',
+      'click.image': 'Image dynamique',
+      'gamepad.connected': '🎮 Manette {name} connectée : {id}',
+      'gamepad.disconnected': '❌ Manette déconnectée : {id}',
+      'hud.boost': ' (Boost x2)',
+      'hud.auto': 'Auto : {count}/s',
+      'hud.crit': 'Crit : {chance}% (x{power})',
+      'hud.prestige': 'Prestige : {count} (+{bonus}%)',
+      'hud.cps': 'CPS : {count}',
+
+      // Shop, skins and bonus
+      'shop.cost': '{name} (Coût : {cost})',
+      'shop.costBulk': '{name} x{count} (Coût : {cost})',
+      'shop.max': '{name} (MAX)',
+      'shop.quantity': 'Quantité',
+      'shop.noPoints': 'Pas assez de points !',
+      'shop.maxLevel': 'Niveau maximum atteint !',
+      'upgrade.autoClick': 'Auto-Click',
+      'upgrade.multiplier': 'Multiplicateur',
+      'upgrade.critChance': 'Crit%',
+      'upgrade.critPower': 'Crit x',
+      'upgrade.tempBoost': 'Boost {seconds}s',
+      'skins.title': 'Skins',
+      'skins.noPoints': 'Pas assez de points pour acheter ce skin.',
+      'skin.default': 'défaut',
+      'skin.gif2': 'sacha et ondine',
+      'skin.pixel': 'carapuce',
+      'event.shown': 'Événement : {name} !',
+      'event.golden.name': 'Pikachu doré',
+      'event.golden.claimed': '🌟 Pikachu doré : +{points} points !',
+      'event.frenzy.name': 'Frénésie',
+      'event.frenzy.claimed': '⚡ Frénésie : clics x{factor} pendant {seconds} s !',
+      'event.frenzy.ended': '⚡ Fin de la frénésie.',
+      'event.storm.name': "Tempête d'auto-clics",
+      'event.storm.claimed': "🌪️ Tempête d'auto-clics : {cps} clics offerts par seconde pendant {seconds} s !",
+      'event.storm.ended': '🌪️ Fin de la tempête.',
+      'event.trap.name': 'Piège',
+      'event.trap.claimed': '💀 Piège ! Tous les gains divisés par 2 pendant {seconds} s.',
+      'event.trap.ended': '💀 Le piège est levé.',
+      'bonus.boostEnded': '⚡ Fin du boost de 30s.',
+      'offline.gain': '💤 Pendant ton absence ({duration}{capped}) : +{points} points',
+      'offline.capped': ' (max {duration})',
+
+      // Prestige and skill tree
+      'prestige.button': 'Prestige +{points} ✨ (Requis : {cost})',
+      'prestige.buttonLocked': 'Prestige (Requis : {cost})',
+      'prestige.notEnough': 'Pas assez de points pour effectuer un prestige. Requis : {cost}',
+      'prestige.confirm': {
+        one: 'Prestige : ton score ({score}) sera converti en {count} point de prestige et la progression sera réinitialisée. Continuer ?',
+        other: 'Prestige : ton score ({score}) sera converti en {count} points de prestige et la progression sera réinitialisée. Continuer ?',
+      },
+      'prestige.done': {
+        one: '🏆 Prestige #{number} : +{count} point de prestige',
+        other: '🏆 Prestige #{number} : +{count} points de prestige',
+      },
+      'prestige.tree': '🌟 Arbre de prestige',
+      'prestige.points': 'Points de prestige : {points} (gagnés : {total})',
+      'prestige.respec': '↺ Redistribuer les points',
+      'prestige.respecNone': 'Aucun point à redistribuer.',
+      'prestige.respecConfirm': {
+        one: 'Rembourser {count} point de prestige et remettre l\'arbre à zéro ? Les auto-clickers et prix de départ changent au prochain prestige.',
+        other: 'Rembourser {count} points de prestige et remettre l\'arbre à zéro ? Les auto-clickers et prix de départ changent au prochain prestige.',
+      },
+      'prestige.respecDone': {
+        one: '↺ {count} point de prestige remboursé',
+        other: '↺ {count} points de prestige remboursés',
+      },
+      'skill.requires': '{desc} — requiert {list}',
+      'skill.max': 'Compétence déjà au maximum !',
+      'skill.maxed': 'MAX',
+      'skill.locked': 'Débloque d\'abord les compétences requises.',
+      'skill.points': 'Pas assez de points de prestige !',
+      'skill.unknown': 'Compétence inconnue.',
+      'skill.gains.name': 'Gains',
+      'skill.gains.desc': '+10% sur tous les gains',
+      'skill.startAuto.name': 'Départ rapide',
+      'skill.startAuto.desc': '+2 auto-clickers au départ',
+      'skill.cheaper.name': 'Marchandage',
+      'skill.cheaper.desc': '-5% sur les prix de départ',
+      'skill.longBoost.name': 'Boost prolongé',
+      'skill.longBoost.desc': '+10 s par boost',
+      'skill.critCap.name': 'Œil de lynx',
+      'skill.critCap.desc': '+5% au plafond de Crit% (50%)',
+      'skill.keepSkins.name': 'Collection',
+      'skill.keepSkins.desc': 'Les skins sont conservés au prestige',
+
+      // Timed mode
+      'timed.title': '⏱️ Mode Chronométré',
+      'timed.duration': 'Durée de la partie',
+      'timed.start': 'Démarrer',
+      'timed.go': 'Partez !',
+      'timed.rule': 'Seuls les clics manuels comptent (critiques et bonus de prestige inclus).',
+      'timed.info': 'Temps : {left} | Score : {score} | Meilleur : {best}',
+      'timed.results': '⏱️ Résultats ({seconds} s)',
+      'timed.record': '🏆 Nouveau record ({seconds} s) !',
+      'timed.resScore': 'Score :',
+      'timed.resBest': 'Meilleur :',
+      'timed.resClicks': 'Clics :',
+      'timed.resAvg': 'CPS moyen :',
+      'timed.resPeak': 'CPS max :',
+      'timed.resCrits': 'Critiques :',
+      'timed.retry': 'Rejouer',
+
+      // Daily challenge, streaks and weekly challenge
+      'daily.title': '📅 Défi quotidien',
+      'daily.goal.points': 'Gagner {count} points',
+      'daily.goal.crits': 'Réussir {count} coups critiques',
+      'daily.goal.cps': 'Atteindre {count} clics en une seconde',
+      'daily.goal.clicks': 'Faire {count} clics',
+      'daily.info': 'Objectif du jour : {goal} en 10 min. Récompense : +{pct}% pendant 10 min.',
+      'daily.status.waiting': 'Statut : en attente',
+      'daily.status.won': 'Statut : réussi en {time}',
+      'daily.status.running': 'Statut : en cours ({progress} / {target}, {left})',
+      'daily.status.expired': 'Statut : expiré, nouveau défi demain',
+      'daily.button.start': 'Tenter le défi',
+      'daily.button.won': 'Déjà réussi',
+      'daily.button.running': 'En cours...',
+      'daily.button.tried': 'Déjà tenté',
+      'daily.started': '📅 Défi quotidien lancé !',
+      'daily.alreadyWon': 'Vous avez déjà réussi le défi aujourd\'hui.',
+      'daily.alreadyRunning': 'Un défi est déjà en cours.',
+      'daily.alreadyTried': 'Vous avez déjà tenté le défi aujourd\'hui.',
+      'daily.won': {
+        one: '📅 Défi réussi ! 🔥 Série : {count} jour · boost x2 pendant {minutes} min',
+        other: '📅 Défi réussi ! 🔥 Série : {count} jours · boost x2 pendant {minutes} min',
+      },
+      'daily.frozenUsed': {
+        one: ' · {count} gel utilisé',
+        other: ' · {count} gels utilisés',
+      },
+      'daily.calendar': 'Calendrier des défis quotidiens',
+      'calendar.won': 'réussi',
+      'calendar.attempted': 'tenté',
+      'calendar.frozen': 'gel de série',
+      'calendar.missed': 'manqué',
+      'calendar.today': 'aujourd\'hui',
+      'streak.info': {
+        one: '🔥 Série : {count} jour (record {best}) · ❄️ {freezes}/{max}',
+        other: '🔥 Série : {count} jours (record {best}) · ❄️ {freezes}/{max}',
+      },
+      'streak.covered': {
+        one: ' · {count} jour couvert par les gels',
+        other: ' · {count} jours couverts par les gels',
+      },
+      'streak.freezeButton': '❄️ Gel de série ({cost}₽)',
+      'streak.freezeMax': 'Tu as déjà le maximum de gels de série.',
+      'streak.freezeCost': 'Pas assez de points pour un gel de série.',
+      'streak.freezeBought': '❄️ Gel de série acheté ({count}/{max})',
+      'weekly.done': '📆 Défi de la semaine réussi ({won}/7 jours)',
+      'weekly.info': {
+        one: '📆 Défi de la semaine : {won}/{target} jours réussis → +{count} point de prestige',
+        other: '📆 Défi de la semaine : {won}/{target} jours réussis → +{count} points de prestige',
+      },
+      'weekly.claim': '🎁 Réclamer',
+      'weekly.claimed': {
+        one: '🎁 Défi de la semaine réussi : +{count} point de prestige !',
+        other: '🎁 Défi de la semaine réussi : +{count} points de prestige !',
+      },
+
+      // Achievements
+      'achievements.title': '🏅 Succès',
+      'achievements.unlocked': '{icon} Succès débloqué : {name}',
+      'achievements.many': {
+        one: '🏅 {count} succès débloqué',
+        other: '🏅 {count} succès débloqués',
+      },
+      'achievement.category.clicks': '💥 Clics',
+      'achievement.category.score': '💰 Score',
+      'achievement.category.upgrades': '⚙️ Améliorations',
+      'achievement.category.prestige': '🏆 Prestige',
+      'achievement.category.modes': '⏱️ Modes de jeu',
+      'achievement.category.secret': '🔒 Secrets',
+      'achievement.clicks': '{count} clics',
+      'achievement.score': '{count} points',
+      'achievement.auto': '{count} Auto-Clickers',
+      'achievement.mult': 'Multiplicateur x{count}',
+      'achievement.crit': '{count}% de critiques',
+      'achievement.prestige': { one: 'Premier prestige', other: '{count} prestiges' },
+      'achievement.skills_10': 'Arbre bien garni',
+      'achievement.skills_10.desc': '10 points de prestige gagnés',
+      'achievement.timed_first': 'Contre la montre',
+      'achievement.timed_first.desc': 'Terminer une partie chronométrée',
+      'achievement.timed_all': 'Toutes les durées',
+      'achievement.timed_all.desc': 'Un record sur chaque durée du mode chronométré',
+      'achievement.daily_first': 'Défi relevé',
+      'achievement.daily_first.desc': 'Réussir un défi quotidien',
+      'achievement.streak': 'Série de {count} jours',
+      'achievement.weekly_first': 'Semaine parfaite',
+      'achievement.weekly_first.desc': 'Réussir le défi de la semaine',
+      'achievement.frenzy': 'Frenzy',
+      'achievement.frenzy.desc': '12 clics en une seconde',
+      'achievement.daily_speedrun': 'Éclair',
+      'achievement.daily_speedrun.desc': 'Réussir un défi quotidien en moins d\'une minute',
+
+      // Scoreboard
+      'board.title': '🏆 Classement',
+      'board.score': 'Score',
+      'board.timed': 'Chrono 60 s',
+      'board.prestige': 'Prestiges',
+      'board.daily': 'Défi du jour',
+      'board.prev': 'Page précédente',
+      'board.next': 'Page suivante',
+      'board.empty': 'Aucun score pour l\'instant.',
+      'board.emptyDaily': 'Personne n\'a encore réussi le défi aujourd\'hui.',
+      'board.rank': 'Ton rang : #{rank} / {total}',
+      'board.unranked': 'Pas encore classé ici.',
+      'board.unverifiable': '⚠️ Score non vérifiable ({detail}) : envoi annulé.',
+      'board.unreachable': '⚠️ Classement injoignable, réessaie plus tard.',
+      'board.refused': '⚠️ Score refusé par le classement ({detail}).',
+      'board.saved': '✅ Score enregistré !',
+      'board.savedRank': '✅ Score enregistré ! Rang : {rank}',
+      'board.manualSave': '💾 Score sauvegardé manuellement.',
+
+      // Save files
+      'save.exported': '📤 Sauvegarde exportée.',
+      'save.exportError': '⚠️ Erreur lors de l\'export.',
+      'save.importRefused': '⚠️ Import refusé : {error}',
+      'save.importConfirm': 'Importer cette sauvegarde ?\n\n{changes}\n\nLa sauvegarde actuelle sera remplacée.',
+      'save.diff.score': 'Score',
+      'save.diff.prestige': 'Prestige',
+      'save.diff.achievements': 'Succès',
+      'save.imported': '📥 Sauvegarde importée !',
+      'save.readError': '⚠️ Impossible de lire le fichier.',
+      'save.broken': '⚠️ Sauvegarde illisible ({reason}). Copie conservée sous {key}.',
+    },
+
+    en: {
+      // Header and settings
+      'app.title': '🎯 The Pikagirl Group Clicker',
+      'settings.music': 'Music',
+      'settings.sounds': 'Sounds',
+      'settings.theme': 'Theme',
+      'theme.normal': 'Normal',
+      'theme.feu': 'Fire',
+      'theme.glace': 'Ice',
+      'theme.BW': 'Black & white',
+      'settings.lang': 'Language',
+      'settings.notation': 'Big number display',
+      'settings.notation.suffix': 'Numbers: 1.5M',
+      'settings.notation.scientific': 'Numbers: 1.5e6',
+      'settings.soundType': 'Sound type',
+      'settings.soundType.master': 'Master',
+      'settings.soundType.click': 'Click',
+      'settings.soundType.crit': 'Crit',
+      'settings.soundType.achievement': 'Achievement',
+      'settings.soundType.music': 'Music',
+      'menu.save': '💾 Save',
+      'menu.export': '📤 Export',
+      'menu.import': '📥 Import',
+      'menu.stats': '📊 Player Stats',
+      'menu.bindings': '🎮 Controls',
+      'menu.a11y': '♿ Accessibility',
+      'menu.journal': '📜 Journal',
+      'menu.back': '🔙 Back',
+      'menu.backToast': '🔙 Returned to main menu',
+      'common.close': 'Close',
+
+      // Stats popup
+      'stats.title': '📊 Your Stats',
+      'stats.cps': 'Click Rate (CPS):',
+      'stats.prestige': 'Prestige Count:',
+      'stats.bestTimed': 'Best Timed Scores:',
+      'stats.lifetime': 'All time',
+      'stats.run': 'This run',
+      'stats.row.clicks': 'Clicks',
+      'stats.row.crits': 'Crits',
+      'stats.row.earned': 'Points earned',
+      'stats.row.spent': 'Points spent',
+      'stats.row.spentOn': '↳ {name}',
+      'stats.row.bonuses': 'Random events',
+      'stats.bonusValue': '{count} ({points} pts)',
+      'stats.row.playtime': 'Play time',
+      'stats.row.peakCps': 'Peak CPS',
+      'stats.chartScore': 'Points per minute',
+      'stats.chartCps': 'Clicks per second',
+      'stats.chartEmpty': 'One point every {seconds} s of play…',
+      'stats.runs': 'Runs (one per prestige)',
+      'stats.runTime': 'Duration',
+      'stats.runClicks': 'Clicks',
+      'stats.runEarned': 'Points',
+      'stats.runPeak': 'Peak CPS',
+      'stats.runCurrent': '#{number} (current)',
+
+      // Controls popup (bindings.js)
+      'bindings.title': '🎮 Controls',
+      'bindings.hint': 'Click a key to change it. Gamepad: D-pad or stick to move, {confirm} to select, {back} to go back, {menu} for the menu.',
+      'bindings.action': 'Action',
+      'bindings.keyboard': 'Keyboard',
+      'bindings.gamepad': 'Gamepad',
+      'bindings.press': 'Press a key… (Esc: cancel, Delete: none)',
+      'bindings.pressPad': 'Press a gamepad button… (Esc or {back}: cancel)',
+      'bindings.conflict': '{input} is already used for "{action}". Take it from there?',
+      'bindings.reserved': '{input} is reserved for menus',
+      'bindings.reset': 'Default controls',
+      'bindings.resetDone': '🎮 Controls reset to defaults',
+      'bindings.action.click': 'Click',
+      'bindings.action.buyAuto': 'Buy an Auto-Click',
+      'bindings.action.buyMult': 'Buy a Multiplier',
+      'bindings.action.buyCritChance': 'Buy Crit%',
+      'bindings.action.buyCritPower': 'Buy Crit x',
+      'bindings.action.buyTempBoost': 'Buy the Boost',
+      'bindings.action.prestige': 'Prestige',
+      'bindings.action.bonus': 'Claim the event',
+      'bindings.action.timed': 'Start timed mode',
+      'bindings.action.stats': 'Statistics',
+
+      // Event journal (journal.js)
+      'journal.title': '📜 Journal',
+      'journal.filter': 'Event type',
+      'journal.all': 'All events',
+      'journal.exportCsv': '📤 CSV',
+      'journal.exportJson': '📤 JSON',
+      'journal.exported': '📜 Journal exported',
+      'journal.count': '{count} event(s) ({max} kept at most)',
+      'journal.time': 'Date',
+      'journal.event': 'Event',
+      'journal.score': 'Score',
+      'journal.type.buy': 'Purchase',
+      'journal.type.prestige': 'Prestige',
+      'journal.type.bonus': 'Random event',
+      'journal.type.daily': 'Daily challenge',
+      'journal.type.dailyWon': 'Challenge won',
+      'journal.type.weekly': 'Weekly challenge',
+      'journal.type.freeze': 'Streak freeze',
+      'journal.type.skill': 'Skill',
+      'journal.type.respec': 'Respec',
+      'journal.type.achievement': 'Achievement',
+      'journal.type.skin': 'Skin',
+      'journal.type.timed': 'Timed mode',
+      'journal.detail.buy': '{count} × {name} for {cost}',
+      'journal.detail.prestige': '#{number}, +{points} prestige point(s)',
+      'journal.detail.daily': '{goal}',
+      'journal.detail.dailyWon': '{streak}-day streak',
+      'journal.detail.weekly': '+{points} prestige point(s)',
+      'journal.detail.freeze': '{count} freeze(s) in stock',
+      'journal.detail.skill': '{name} level {level}',
+      'journal.detail.respec': '{count} point(s) refunded',
+      'journal.detail.achievement': '{name}',
+      'journal.detail.skin': '{name} for {cost}',
+      'journal.detail.timed': '{duration} s: {score}',
+
+      // Accessibility (a11y.js)
+      'a11y.title': '♿ Accessibility',
+      'a11y.motion': 'Animations',
+      'a11y.motion.auto': 'Like the system',
+      'a11y.motion.reduce': 'Reduced',
+      'a11y.motion.full': 'All',
+      'a11y.bonusWindow': 'Event duration',
+      'a11y.bonusWindow.1': 'Normal',
+      'a11y.bonusWindow.2': 'x2',
+      'a11y.bonusWindow.3': 'x3',
+      'a11y.holdToClick': 'Hold to click',
+      'a11y.announceScore': 'Read the score',
+      'a11y.hint': 'Hold to click keeps clicking, at most {cps} times per second. Events give the same rewards whatever their duration.',
+      'a11y.score': 'Score: {score}',
+
+      // Start screen and profiles
+      'start.label': 'Enter your nickname:',
+      'start.placeholder': 'Your nickname',
+      'start.button': 'Start',
+      'start.pseudoRequired': 'A nickname is required!',
+      'profile.new': '👤 New profile: {pseudo}',
+      'profile.meta': 'Score: {score} · Prestige: {prestige}',
+      'profile.unreadable': 'Unreadable save',
+      'profile.play': 'Play with this profile',
+      'profile.rename': 'Rename',
+      'profile.delete': 'Delete',
+      'profile.renamePrompt': 'New nickname for {pseudo}:',
+      'profile.taken': 'This nickname is already taken.',
+      'profile.renamed': '✏️ Profile renamed: {pseudo}',
+      'profile.deleteConfirm': 'Delete the profile {pseudo} and all of its progress? This cannot be undone.',
+      'profile.deleted': '🗑️ Profile deleted: {pseudo}',
+      'reset.confirm': 'Are you sure you want to reset your score? This cannot be undone.',
+      'reset.done': '🔄 Score and progress reset!',
+
+      // Game area
+      'route.title': 'Poké Ball Road',
+      'route.reached': '{name} milestone reached!',
+      'click.button': 'Click!',
+      'click.hint': 'Press Space',
+      'click.image': 'Animated picture',
+      'gamepad.connected': '🎮 {name} gamepad connected: {id}',
+      'gamepad.disconnected': '❌ Gamepad disconnected: {id}',
+      'hud.boost': ' (Boost x2)',
+      'hud.auto': 'Auto: {count}/s',
+      'hud.crit': 'Crit: {chance}% (x{power})',
+      'hud.prestige': 'Prestige: {count} (+{bonus}%)',
+      'hud.cps': 'CPS: {count}',
+
+      // Shop, skins and bonus
+      'shop.cost': '{name} (Cost: {cost})',
+      'shop.costBulk': '{name} x{count} (Cost: {cost})',
+      'shop.max': '{name} (MAX)',
+      'shop.quantity': 'Quantity',
+      'shop.noPoints': 'Not enough points!',
+      'shop.maxLevel': 'Maximum level reached!',
+      'upgrade.autoClick': 'Auto-Click',
+      'upgrade.multiplier': 'Multiplier',
+      'upgrade.critChance': 'Crit%',
+      'upgrade.critPower': 'Crit x',
+      'upgrade.tempBoost': 'Boost {seconds}s',
+      'skins.title': 'Skins',
+      'skins.noPoints': 'Not enough points to buy this skin.',
+      'skin.default': 'default',
+      'skin.gif2': 'ash and misty',
+      'skin.pixel': 'squirtle',
+      'event.shown': 'Event: {name}!',
+      'event.golden.name': 'Golden Pikachu',
+      'event.golden.claimed': '🌟 Golden Pikachu: +{points} points!',
+      'event.frenzy.name': 'Frenzy',
+      'event.frenzy.claimed': '⚡ Frenzy: clicks x{factor} for {seconds} s!',
+      'event.frenzy.ended': '⚡ Frenzy over.',
+      'event.storm.name': 'Auto-click storm',
+      'event.storm.claimed': '🌪️ Auto-click storm: {cps} free clicks per second for {seconds} s!',
+      'event.storm.ended': '🌪️ Storm over.',
+      'event.trap.name': 'Trap',
+      'event.trap.claimed': '💀 Trap! Every gain halved for {seconds} s.',
+      'event.trap.ended': '💀 The trap is lifted.',
+      'bonus.boostEnded': '⚡ 30s boost over.',
+      'offline.gain': '💤 While you were away ({duration}{capped}): +{points} points',
+      'offline.capped': ' (max {duration})',
+
+      // Prestige and skill tree
+      'prestige.button': 'Prestige +{points} ✨ (Required: {cost})',
+      'prestige.buttonLocked': 'Prestige (Required: {cost})',
+      'prestige.notEnough': 'Not enough points to prestige. Required: {cost}',
+      'prestige.confirm': {
+        one: 'Prestige: your score ({score}) will be turned into {count} prestige point and your progress will be reset. Continue?',
+        other: 'Prestige: your score ({score}) will be turned into {count} prestige points and your progress will be reset. Continue?',
+      },
+      'prestige.done': {
+        one: '🏆 Prestige #{number}: +{count} prestige point',
+        other: '🏆 Prestige #{number}: +{count} prestige points',
+      },
+      'prestige.tree': '🌟 Prestige tree',
+      'prestige.points': 'Prestige points: {points} (earned: {total})',
+      'prestige.respec': '↺ Reset skill points',
+      'prestige.respecNone': 'No points to reset.',
+      'prestige.respecConfirm': {
+        one: 'Refund {count} prestige point and reset the tree? Starting auto-clickers and prices change at the next prestige.',
+        other: 'Refund {count} prestige points and reset the tree? Starting auto-clickers and prices change at the next prestige.',
+      },
+      'prestige.respecDone': {
+        one: '↺ {count} prestige point refunded',
+        other: '↺ {count} prestige points refunded',
+      },
+      'skill.requires': '{desc} — requires {list}',
+      'skill.max': 'Skill already maxed!',
+      'skill.maxed': 'MAX',
+      'skill.locked': 'Unlock the required skills first.',
+      'skill.points': 'Not enough prestige points!',
+      'skill.unknown': 'Unknown skill.',
+      'skill.gains.name': 'Gains',
+      'skill.gains.desc': '+10% on all gains',
+      'skill.startAuto.name': 'Quick start',
+      'skill.startAuto.desc': '+2 auto-clickers at start',
+      'skill.cheaper.name': 'Bargaining',
+      'skill.cheaper.desc': '-5% on starting prices',
+      'skill.longBoost.name': 'Longer boost',
+      'skill.longBoost.desc': '+10 s per boost',
+      'skill.critCap.name': 'Eagle eye',
+      'skill.critCap.desc': '+5% to the Crit% cap (50%)',
+      'skill.keepSkins.name': 'Collection',
+      'skill.keepSkins.desc': 'Skins are kept on prestige',
+
+      // Timed mode
+      'timed.title': '⏱️ Timed Mode',
+      'timed.duration': 'Run length',
+      'timed.start': 'Start',
+      'timed.go': 'GO!',
+      'timed.rule': 'Only manual clicks count (crits and prestige bonus included).',
+      'timed.info': 'Time: {left} | Score: {score} | Best: {best}',
+      'timed.results': '⏱️ Results ({seconds} s)',
+      'timed.record': '🏆 New record ({seconds} s)!',
+      'timed.resScore': 'Score:',
+      'timed.resBest': 'Best:',
+      'timed.resClicks': 'Clicks:',
+      'timed.resAvg': 'Average CPS:',
+      'timed.resPeak': 'Peak CPS:',
+      'timed.resCrits': 'Crits:',
+      'timed.retry': 'Play again',
+
+      // Daily challenge, streaks and weekly challenge
+      'daily.title': '📅 Daily challenge',
+      'daily.goal.points': 'Earn {count} points',
+      'daily.goal.crits': 'Land {count} critical hits',
+      'daily.goal.cps': 'Reach {count} clicks in one second',
+      'daily.goal.clicks': 'Click {count} times',
+      'daily.info': 'Today\'s goal: {goal} in 10 min. Reward: +{pct}% for 10 min.',
+      'daily.status.waiting': 'Status: waiting',
+      'daily.status.won': 'Status: done in {time}',
+      'daily.status.running': 'Status: running ({progress} / {target}, {left})',
+      'daily.status.expired': 'Status: expired, new challenge tomorrow',
+      'daily.button.start': 'Take the challenge',
+      'daily.button.won': 'Already done',
+      'daily.button.running': 'Running...',
+      'daily.button.tried': 'Already tried',
+      'daily.started': '📅 Daily challenge started!',
+      'daily.alreadyWon': 'You already beat today\'s challenge.',
+      'daily.alreadyRunning': 'A challenge is already running.',
+      'daily.alreadyTried': 'You already tried today\'s challenge.',
+      'daily.won': {
+        one: '📅 Challenge done! 🔥 Streak: {count} day · x2 boost for {minutes} min',
+        other: '📅 Challenge done! 🔥 Streak: {count} days · x2 boost for {minutes} min',
+      },
+      'daily.frozenUsed': {
+        one: ' · {count} freeze used',
+        other: ' · {count} freezes used',
+      },
+      'daily.calendar': 'Daily challenge calendar',
+      'calendar.won': 'done',
+      'calendar.attempted': 'tried',
+      'calendar.frozen': 'streak freeze',
+      'calendar.missed': 'missed',
+      'calendar.today': 'today',
+      'streak.info': {
+        one: '🔥 Streak: {count} day (best {best}) · ❄️ {freezes}/{max}',
+        other: '🔥 Streak: {count} days (best {best}) · ❄️ {freezes}/{max}',
+      },
+      'streak.covered': {
+        one: ' · {count} day covered by freezes',
+        other: ' · {count} days covered by freezes',
+      },
+      'streak.freezeButton': '❄️ Streak freeze ({cost}₽)',
+      'streak.freezeMax': 'You already have the maximum number of streak freezes.',
+      'streak.freezeCost': 'Not enough points for a streak freeze.',
+      'streak.freezeBought': '❄️ Streak freeze bought ({count}/{max})',
+      'weekly.done': '📆 Weekly challenge done ({won}/7 days)',
+      'weekly.info': {
+        one: '📆 Weekly challenge: {won}/{target} days done → +{count} prestige point',
+        other: '📆 Weekly challenge: {won}/{target} days done → +{count} prestige points',
+      },
+      'weekly.claim': '🎁 Claim',
+      'weekly.claimed': {
+        one: '🎁 Weekly challenge done: +{count} prestige point!',
+        other: '🎁 Weekly challenge done: +{count} prestige points!',
+      },
+
+      // Achievements
+      'achievements.title': '🏅 Achievements',
+      'achievements.unlocked': '{icon} Achievement unlocked: {name}',
+      'achievements.many': {
+        one: '🏅 {count} achievement unlocked',
+        other: '🏅 {count} achievements unlocked',
+      },
+      'achievement.category.clicks': '💥 Clicks',
+      'achievement.category.score': '💰 Score',
+      'achievement.category.upgrades': '⚙️ Upgrades',
+      'achievement.category.prestige': '🏆 Prestige',
+      'achievement.category.modes': '⏱️ Game modes',
+      'achievement.category.secret': '🔒 Secrets',
+      'achievement.clicks': '{count} clicks',
+      'achievement.score': '{count} points',
+      'achievement.auto': '{count} Auto-Clickers',
+      'achievement.mult': 'Multiplier x{count}',
+      'achievement.crit': '{count}% crit chance',
+      'achievement.prestige': { one: 'First prestige', other: '{count} prestiges' },
+      'achievement.skills_10': 'Well-grown tree',
+      'achievement.skills_10.desc': '10 prestige points earned',
+      'achievement.timed_first': 'Against the clock',
+      'achievement.timed_first.desc': 'Finish a timed run',
+      'achievement.timed_all': 'Every length',
+      'achievement.timed_all.desc': 'A record on every timed mode length',
+      'achievement.daily_first': 'Challenge accepted',
+      'achievement.daily_first.desc': 'Beat a daily challenge',
+      'achievement.streak': '{count}-day streak',
+      'achievement.weekly_first': 'Perfect week',
+      'achievement.weekly_first.desc': 'Beat the weekly challenge',
+      'achievement.frenzy': 'Frenzy',
+      'achievement.frenzy.desc': '12 clicks in one second',
+      'achievement.daily_speedrun': 'Lightning',
+      'achievement.daily_speedrun.desc': 'Beat a daily challenge in under a minute',
+
+      // Scoreboard
+      'board.title': '🏆 Scoreboard',
+      'board.score': 'Score',
+      'board.timed': 'Timed 60 s',
+      'board.prestige': 'Prestiges',
+      'board.daily': 'Daily challenge',
+      'board.prev': 'Previous page',
+      'board.next': 'Next page',
+      'board.empty': 'No scores yet.',
+      'board.emptyDaily': 'Nobody has beaten today\'s challenge yet.',
+      'board.rank': 'Your rank: #{rank} / {total}',
+      'board.unranked': 'Not ranked here yet.',
+      'board.unverifiable': '⚠️ Score cannot be verified ({detail}): submission cancelled.',
+      'board.unreachable': '⚠️ Leaderboard unreachable, try again later.',
+      'board.refused': '⚠️ Score refused by the leaderboard ({detail}).',
+      'board.saved': '✅ Score saved!',
+      'board.savedRank': '✅ Score saved! Rank: {rank}',
+      'board.manualSave': '💾 Score saved manually.',
+
+      // Save files
+      'save.exported': '📤 Save exported.',
+      'save.exportError': '⚠️ Export failed.',
+      'save.importRefused': '⚠️ Import refused: {error}',
+      'save.importConfirm': 'Import this save?\n\n{changes}\n\nThe current save will be replaced.',
+      'save.diff.score': 'Score',
+      'save.diff.prestige': 'Prestige',
+      'save.diff.achievements': 'Achievements',
+      'save.imported': '📥 Save imported!',
+      'save.readError': '⚠️ Could not read the file.',
+      'save.broken': '⚠️ Unreadable save ({reason}). A copy was kept under {key}.',
+    },
+  };
+
+  // First supported language among the stored choice, then the browser's languages
+  function detectLang(stored, preferred = []) {
+    if (stored && LANGS[stored]) return stored;
+    for (const tag of preferred || []) {
+      const base = String(tag).toLowerCase().split('-')[0];
+      if (LANGS[base]) return base;
+    }
+    return DEFAULT_LANG;
+  }
+
+  /*
+   --- Translator ---
+   createI18n(lang) → { lang, setLang, locale, t, has, number, date, weekdays }
+   Intl formatters are cached per language.
+  */
+  function createI18n(lang) {
+    let current = LANGS[lang] ? lang : DEFAULT_LANG;
+    let cache = {};
+
+    function locale() {
+      return LANGS[current].locale;
+    }
+
+    function formatter(kind, opts) {
+      const key = kind + JSON.stringify(opts || {});
+      if (!cache[key]) {
+        cache[key] = kind === 'plural' ? new Intl.PluralRules(locale())
+          : kind === 'date' ? new Intl.DateTimeFormat(locale(), opts)
+          : new Intl.NumberFormat(locale(), opts);
+      }
+      return cache[key];
+    }
+
+    function setLang(next) {
+      if (!LANGS[next]) return false;
+      current = next;
+      cache = {};
+      return true;
+    }
+
+    function lookup(key) {
+      const own = MESSAGES[current][key];
+      return own !== undefined ? own : MESSAGES[DEFAULT_LANG][key];
+    }
+
+    function has(key) {
+      return lookup(key) !== undefined;
+    }
+
+    function number(n, opts) {
+      return formatter('number', opts).format(n);
+    }
+
+    // t in ms, Date or 'YYYY-MM-DD' (read as a UTC day)
+    function date(t, opts = { dateStyle: 'medium' }) {
+      const d = typeof t === 'string' ? new Date(t + 'T00:00:00Z') : new Date(t);
+      const o = typeof t === 'string' ? Object.assign({ timeZone: 'UTC' }, opts) : opts;
+      return formatter('date', o).format(d);
+    }
+
+    // Narrow weekday names from Monday to Sunday ("L M M J V S D")
+    function weekdays() {
+      const f = formatter('date', { weekday: 'narrow', timeZone: 'UTC' });
+      return [0, 1, 2, 3, 4, 5, 6].map(i => f.format(new Date(Date.UTC(2024, 0, 1 + i)))); // 2024-01-01 is a Monday
+    }
+
+    function t(key, params = {}) {
+      let msg = lookup(key);
+      if (msg === undefined) return key;
+      if (typeof msg === 'object') {
+        const form = formatter('plural').select(Number(params.count) || 0);
+        msg = msg[form] !== undefined ? msg[form] : msg.other;
+      }
+      return msg.replace(/\{(\w+)\}/g, (m, name) => {
+        if (!(name in params)) return m;
+        const v = params[name];
+        return typeof v === 'number' ? number(v) : String(v);
+      });
+    }
+
+    return {
+      lang: () => current,
+      setLang,
+      locale,
+      t,
+      has,
+      number,
+      date,
+      weekdays,
+    };
+  }
+
+  const PikaI18n = {
+    DEFAULT_LANG,
+    LANG_KEY,
+    LANGS,
+    MESSAGES,
+    detectLang,
+    createI18n,
+  };
+
+  // Browser: global `PikaI18n` / Node: require('./i18n.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaI18n;
+  else root.PikaI18n = PikaI18n;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,173 @@
+/*
+  FILE: journal.js
+  GROUP: Persistence / Game event journal (headless, no DOM)
+
+  Notes:
+  - Le journal garde les événements marquants d'un profil : achats, prestiges, bonus, défis du
+    jour et de la semaine, gels de série, compétences, succès, skins, parties chronométrées.
+    Chaque entrée : { t (ms), type, payload (objet simple), before, after } où before / after
+    sont le score avant et après l'événement (toJSON de BigNum : nombre ou "1.5e42").
+  - Tampon circulaire de MAX_ENTRIES entrées : la plus ancienne est écrasée par la nouvelle.
+  - Rangé sous la clé `clickerJournal:<profileId>` (profiles.js journalKey) ; serialize() ne
+    dépasse jamais MAX_BYTES (les entrées les plus anciennes sont laissées de côté).
+  - `attach(engine, journal)` enveloppe les actions du moteur (comme clicklog.js et stats.js) ;
+    les événements hors moteur (succès, skins) passent par journal.add().
+  - Export : toCSV(entries) (une ligne par entrée, payload en JSON) et toJSON(entries).
+  - SAFE TO EDIT: MAX_ENTRIES, MAX_BYTES.
+  - CAUTION: les types (TYPES) sont enregistrés dans les sauvegardes et exportés ; leurs noms
+    affichés sont `journal.type.<type>` dans i18n.js.
+*/
+(function (root) {
+  'use strict';
+
+  const MAX_ENTRIES = 500;       // ring buffer capacity
+  const MAX_BYTES = 64 * 1024;   // longest serialized journal kept in localStorage
+  const FORMAT = 'pikagirl-journal';
+
+  const TYPES = [
+    'buy', 'prestige', 'bonus', 'daily', 'dailyWon', 'weekly', 'freeze',
+    'skill', 'respec', 'achievement', 'skin', 'timed',
+  ];
+
+  // Plain JSON copy (BigNum values become their toJSON form)
+  function plain(v) {
+    return v === undefined ? null : JSON.parse(JSON.stringify(v));
+  }
+
+  function isEntry(e) {
+    return !!e && typeof e === 'object' && Number.isFinite(e.t) && TYPES.includes(e.type);
+  }
+
+  /*
+   opts: { max (capacity), now, onAdd(entry) }
+  */
+  function createJournal(opts = {}) {
+    const max = opts.max || MAX_ENTRIES;
+    const now = opts.now || Date.now;
+    let slots = new Array(max);
+    let head = 0;  // next slot to write
+    let size = 0;
+
+    function push(entry) {
+      slots[head] = entry;
+      head = (head + 1) % max;
+      size = Math.min(size + 1, max);
+    }
+
+    // Entries oldest first, optionally only some types
+    function entries(types) {
+      const out = [];
+      for (let i = 0; i < size; i++) {
+        const e = slots[(head - size + i + max) % max];
+        if (!types || types.includes(e.type)) out.push(e);
+      }
+      return out;
+    }
+
+    // Records an event; before / after: scores (BigNum or number). Returns the entry (null: unknown type)
+    function add(type, payload, before, after) {
+      if (!TYPES.includes(type)) return null;
+      const entry = { t: now(), type, payload: plain(payload || {}), before: plain(before), after: plain(after) };
+      push(entry);
+      if (typeof opts.onAdd === 'function') opts.onAdd(entry);
+      return entry;
+    }
+
+    function clear() {
+      slots = new Array(max);
+      head = 0;
+      size = 0;
+    }
+
+    // JSON kept in storage: the most recent entries fitting in MAX_BYTES
+    function serialize() {
+      const list = entries();
+      let json = JSON.stringify(list);
+      while (json.length > MAX_BYTES && list.length) {
+        list.splice(0, Math.max(1, Math.ceil(list.length / 10)));
+        json = JSON.stringify(list);
+      }
+      return json;
+    }
+
+    // Replaces the content with a serialized journal (null / invalid: empty journal)
+    function load(raw) {
+      clear();
+      let list = [];
+      try { list = JSON.parse(raw); } catch (e) {}
+      if (!Array.isArray(list)) list = [];
+      list.filter(isEntry).slice(-max).forEach(e => push({
+        t: e.t, type: e.type, payload: plain(e.payload || {}), before: plain(e.before), after: plain(e.after),
+      }));
+      return size;
+    }
+
+    return { add, entries, clear, serialize, load, size: () => size };
+  }
+
+  /*
+   --- Exports ---
+   CSV: RFC 4180 quoting, ISO dates; JSON: { format, exportedAt, entries }.
+  */
+  function csvCell(v) {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV(list) {
+    const rows = [['time', 'type', 'payload', 'score_before', 'score_after']];
+    list.forEach(e => rows.push([new Date(e.t).toISOString(), e.type, JSON.stringify(e.payload), e.before, e.after]));
+    return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function toJSON(list, exportedAt = Date.now()) {
+    return JSON.stringify({ format: FORMAT, exportedAt, entries: list }, null, 2);
+  }
+
+  /*
+   --- Engine hook ---
+   Wraps the engine actions worth a journal entry; only successful ones are recorded,
+   with the score read just before and just after the action.
+  */
+  function attach(engine, journal) {
+    function wrap(name, type, payloadOf) {
+      const fn = engine[name];
+      if (typeof fn !== 'function') return;
+      engine[name] = function (...args) {
+        const before = engine.state.score;
+        const res = fn.apply(engine, args);
+        if (res && res.ok !== false) {
+          try { journal.add(type, payloadOf(res, args), before, engine.state.score); } catch (e) { console.warn('Journal:', e); }
+        }
+        return res;
+      };
+    }
+
+    wrap('buy', 'buy', (res, args) => ({ id: args[0], count: res.count, cost: res.cost }));
+    wrap('prestige', 'prestige', res => ({ number: engine.state.prestigeCount, points: res.points, cost: res.cost }));
+    wrap('claimBonus', 'bonus', res => ({ id: res.id, points: res.bonus }));
+    wrap('startDaily', 'daily', () => ({ type: engine.state.daily.type, target: engine.state.daily.target }));
+    wrap('completeDaily', 'dailyWon', res => ({ streak: res.streak, ms: res.completedInMs }));
+    wrap('claimWeekly', 'weekly', res => ({ points: res.points }));
+    wrap('buyStreakFreeze', 'freeze', res => ({ count: res.count }));
+    wrap('buySkill', 'skill', (res, args) => ({ id: args[0], level: res.level }));
+    wrap('respec', 'respec', res => ({ refunded: res.refunded }));
+    wrap('endTimed', 'timed', res => ({ duration: res.duration, score: res.score, record: res.record }));
+    return engine;
+  }
+
+  const PikaJournal = {
+    MAX_ENTRIES,
+    MAX_BYTES,
+    FORMAT,
+    TYPES,
+    createJournal,
+    toCSV,
+    toJSON,
+    attach,
+  };
+
+  // Browser: global `PikaJournal` / Node: require('./journal.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaJournal;
+  else root.PikaJournal = PikaJournal;
+})(typeof window !== 'undefined' ? window : globalThis);
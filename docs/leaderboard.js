@@ -0,0 +1,362 @@
+/*
+  FILE: leaderboard.js
+  GROUP: Leaderboard / Providers (no DOM)
+
+  Notes:
+  - Le classement passe par un "provider" choisi dans la configuration (config.js) :
+        local     → localStorage (hors-ligne, un seul navigateur)
+        rest      → API REST générique (ex: tools/leaderboard-server.js en local)
+        firestore → Firebase Firestore (SDK chargé à la demande depuis le CDN)
+  - Plusieurs classements (BOARDS) : score total, meilleure partie chronométrée de 60 s, nombre de
+    prestiges et défi du jour (le plus rapide à atteindre l'objectif, remis à zéro chaque jour UTC).
+  - Tous les providers ont la même interface et ne lèvent jamais d'exception :
+        submit({ profileId, pseudo, score, stats, log }) → { ok, rank? } ou { ok: false, reason, detail? }
+        top({ board, offset, limit })      → { ok, total, entries: [{ rank, profileId, pseudo, value }] }
+        around({ board, profileId, radius }) → { ok, total, rank, entries }  (rank = null si absent)
+  - `stats` vient de statsOf(state) ; `log` est le journal de clics (clicklog.js) : un backend REST
+    le rejoue avant d'accepter le score et recalcule lui-même les stats depuis l'état rejoué.
+  - SAFE TO EDIT: ajouter un provider dans PROVIDERS (même interface), un classement dans BOARDS.
+  - CAUTION: le provider local garde la clé `scores` utilisée par les anciennes versions.
+*/
+(function (root) {
+  'use strict';
+
+  const BigNum = (typeof module !== 'undefined' && module.exports) ? require('./bignum.js') : root.BigNum;
+
+  /*
+   --- Boards ---
+   field: value stored with each player, desc: best is the highest,
+   big: BigNum value (numbers or "1.5e42" strings), daily: only today's entries.
+  */
+  const BOARDS = {
+    score:    { label: 'Score', field: 'score', desc: true, big: true },
+    timed:    { label: 'Chrono 60 s', field: 'bestTimed', desc: true, big: true },
+    prestige: { label: 'Prestiges', field: 'prestigeCount', desc: true },
+    daily:    { label: 'Défi du jour', field: 'dailyMs', desc: false, daily: true },
+  };
+  const MAX_PAGE = 50;
+
+  function getBoard(name) {
+    return BOARDS[name] || BOARDS.score;
+  }
+
+  // UTC day ("2025-01-31"): the daily board starts over at midnight UTC for everybody
+  function dayKey(t = Date.now()) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  // Values sent with a submission, taken from a game state (engine.js)
+  function statsOf(state) {
+    const daily = state.daily || {};
+    return {
+      bestTimed: BigNum.from(state.bestTimed || 0).toJSON(),
+      prestigeCount: state.prestigeCount || 0,
+      dailyDay: daily.completedOn || null,
+      dailyMs: daily.completedOn ? daily.completedInMs : null,
+    };
+  }
+
+  // Numeric sort key of a board value (log10 for big values: safe past 1e308)
+  function sortKey(board, value) {
+    if (!board.big) return Number(value) || 0;
+    const n = BigNum.from(value || 0);
+    return n.gt(0) ? n.log10() : -1;
+  }
+
+  // Players on `board`, best first (daily: only those who completed `day`)
+  function sortBoard(list, board, day = dayKey()) {
+    const b = getBoard(board);
+    const rows = list.filter(s => b.daily ? (s.dailyDay === day && s.dailyMs != null) : s[b.field] != null);
+    const cmp = b.big ? (x, y) => BigNum.from(x[b.field]).cmp(y[b.field]) : (x, y) => x[b.field] - y[b.field];
+    return rows.sort((x, y) => b.desc ? cmp(y, x) : cmp(x, y));
+  }
+
+  function entryOf(board, s, rank) {
+    return { rank, profileId: s.profileId || null, pseudo: s.pseudo, value: s[getBoard(board).field] };
+  }
+
+  function clampLimit(limit) {
+    return Math.max(1, Math.min(MAX_PAGE, Math.floor(Number(limit)) || 10));
+  }
+
+  // One page of an already sorted board
+  function pageOf(sorted, board, offset = 0, limit = 10) {
+    const from = Math.max(0, Math.floor(Number(offset)) || 0);
+    return {
+      ok: true,
+      total: sorted.length,
+      entries: sorted.slice(from, from + clampLimit(limit)).map((s, i) => entryOf(board, s, from + i + 1)),
+    };
+  }
+
+  // Rank of a player and up to `radius` neighbours on each side
+  function aroundOf(sorted, board, profileId, radius = 2) {
+    const i = sorted.findIndex(s => s.profileId === profileId);
+    if (i < 0) return { ok: true, total: sorted.length, rank: null, entries: [] };
+    const r = Math.max(0, Math.min(10, Math.floor(Number(radius)) || 0));
+    const from = Math.max(0, i - r);
+    return {
+      ok: true,
+      total: sorted.length,
+      rank: i + 1,
+      entries: sorted.slice(from, i + r + 1).map((s, k) => entryOf(board, s, from + k + 1)),
+    };
+  }
+
+  /*
+   --- localStorage provider ---
+   One entry per profile in `scores` (entries from before profiles are matched by pseudo).
+  */
+  function createLocalProvider(opts = {}) {
+    const storage = opts.storage || root.localStorage;
+    const key = opts.key || 'scores';
+
+    function read() {
+      try { return JSON.parse(storage.getItem(key)) || []; } catch (e) { return []; }
+    }
+
+    async function submit({ profileId, pseudo, score, stats }) {
+      const scores = read();
+      const entry = Object.assign({ profileId, pseudo, score }, stats);
+      const existing = scores.find(s => (profileId && s.profileId === profileId) || (!s.profileId && s.pseudo === pseudo));
+      if (existing) Object.assign(existing, entry);
+      else scores.push(entry);
+      try {
+        storage.setItem(key, JSON.stringify(scores));
+      } catch (e) {
+        return { ok: false, reason: 'storage', detail: e.message };
+      }
+      return { ok: true, rank: aroundOf(sortBoard(scores, 'score'), 'score', profileId, 0).rank };
+    }
+
+    async function top({ board = 'score', offset = 0, limit = 10 } = {}) {
+      return pageOf(sortBoard(read(), board), board, offset, limit);
+    }
+
+    async function around({ board = 'score', profileId, radius = 2 } = {}) {
+      return aroundOf(sortBoard(read(), board), board, profileId, radius);
+    }
+
+    return { name: 'local', submit, top, around };
+  }
+
+  /*
+   --- REST provider ---
+     POST {baseUrl}/scores   body { profileId, pseudo, score, stats, log } → { ok, rank } | { ok: false, reason, detail }
+     GET  {baseUrl}/scores?board=score&offset=0&limit=10            → { ok, total, entries }
+     GET  {baseUrl}/scores/around?board=score&profileId=p&radius=2  → { ok, total, rank, entries }
+   Network errors and timeouts come back as { ok: false, reason: 'network' }.
+  */
+  function createRestProvider(opts = {}) {
+    const baseUrl = String(opts.baseUrl || '').replace(/\/+$/, '');
+    const fetchFn = opts.fetch || root.fetch;
+    const timeoutMs = opts.timeoutMs || 8000;
+
+    async function request(path, init = {}) {
+      const ctrl = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+      const timer = ctrl ? setTimeout(() => ctrl.abort(), timeoutMs) : null;
+      let res;
+      try {
+        res = await fetchFn(baseUrl + path, Object.assign({}, init, ctrl ? { signal: ctrl.signal } : {}));
+      } catch (e) {
+        return { ok: false, reason: 'network', detail: e.name === 'AbortError' ? 'délai dépassé' : e.message };
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+      let body = null;
+      try { body = await res.json(); } catch (e) {}
+      if (!res.ok || !body || body.ok === false) {
+        return { ok: false, reason: (body && body.reason) || `http-${res.status}`, detail: body && body.detail };
+      }
+      return body;
+    }
+
+    function submit(entry) {
+      return request('/scores', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry),
+      });
+    }
+
+    function query(params) {
+      return Object.keys(params).map(k => `${k}=${encodeURIComponent(params[k])}`).join('&');
+    }
+
+    function top({ board = 'score', offset = 0, limit = 10 } = {}) {
+      return request(`/scores?${query({ board, offset, limit })}`);
+    }
+
+    function around({ board = 'score', profileId, radius = 2 } = {}) {
+      return request(`/scores/around?${query({ board, profileId, radius })}`);
+    }
+
+    return { name: 'rest', submit, top, around };
+  }
+
+  /*
+   --- Firestore provider ---
+   opts.config: Firebase project configuration (apiKey, authDomain, projectId).
+   The SDK modules are imported the first time the leaderboard is used, so the
+   game still starts when the CDN is unreachable. One document per profile in `scores`.
+   Boards are read with orderBy + limit on numeric sort fields (scoreSort,
+   bestTimedSort = log10 of the value) and counted with aggregation queries, so
+   a page never downloads the whole collection. Pages are chained with cursors
+   (startAfter the last document of the previous page).
+   CAUTION: the daily board needs a composite index (dailyDay ==, dailyMs asc);
+   documents from before boards only appear once their player submits again.
+  */
+  function createFirestoreProvider(opts = {}) {
+    const sdk = `https://www.gstatic.com/firebasejs/${opts.sdkVersion || '10.7.1'}`;
+    const importer = opts.importer || ((url) => import(url));
+    let connecting = null;
+    // Last document of each page already read: `${board}:${offset}` → snapshot
+    const cursors = new Map();
+
+    function connect() {
+      if (!connecting) {
+        connecting = Promise.all([importer(`${sdk}/firebase-app.js`), importer(`${sdk}/firebase-firestore.js`)])
+          .then(([app, fs]) => ({ fs, db: fs.getFirestore(app.initializeApp(opts.config)) }))
+          .catch(e => { connecting = null; throw e; });
+      }
+      return connecting;
+    }
+
+    async function submit({ profileId, pseudo, score, stats = {}, log }) {
+      try {
+        const { fs, db } = await connect();
+        const scores = fs.collection(db, 'scores');
+        let docs = (await fs.getDocs(fs.query(scores, fs.where('profileId', '==', profileId)))).docs;
+        if (!docs.length) {
+          // documents written before profiles: claim the one with the same pseudo
+          const legacy = await fs.getDocs(fs.query(scores, fs.where('pseudo', '==', pseudo)));
+          docs = legacy.docs.filter(d => !d.data().profileId);
+        }
+        const data = Object.assign({ pseudo, profileId, score }, stats, {
+          scoreSort: sortKey(BOARDS.score, score),
+          bestTimedSort: sortKey(BOARDS.timed, stats.bestTimed),
+          logHead: log ? log.head : null,
+          timestamp: Date.now(),
+        });
+        if (docs.length) await fs.updateDoc(docs[0].ref, data);
+        else await fs.addDoc(scores, data);
+        cursors.clear(); // pages read before may have shifted
+        return { ok: true };
+      } catch (e) {
+        return { ok: false, reason: 'network', detail: e.message };
+      }
+    }
+
+    // Sorted field of a board in the documents
+    function sortField(board) {
+      const b = getBoard(board);
+      return b.big ? `${b.field}Sort` : b.field;
+    }
+
+    // Constraints selecting the players of a board (today only for the daily one)
+    function scope(fs, board) {
+      return getBoard(board).daily ? [fs.where('dailyDay', '==', dayKey())] : [];
+    }
+
+    async function count(fs, q) {
+      return (await fs.getCountFromServer(q)).data().count;
+    }
+
+    async function top({ board = 'score', offset = 0, limit = 10 } = {}) {
+      try {
+        const { fs, db } = await connect();
+        const scores = fs.collection(db, 'scores');
+        const b = getBoard(board);
+        const n = clampLimit(limit);
+        const from = Math.max(0, Math.floor(Number(offset)) || 0);
+        const order = [...scope(fs, board), fs.orderBy(sortField(board), b.desc ? 'desc' : 'asc')];
+
+        // Next page of a page already read: start after its last document, otherwise read up to it
+        const cursor = cursors.get(`${board}:${from}`);
+        const snapshot = await fs.getDocs(cursor
+          ? fs.query(scores, ...order, fs.startAfter(cursor), fs.limit(n))
+          : fs.query(scores, ...order, fs.limit(from + n)));
+        const docs = cursor ? snapshot.docs : snapshot.docs.slice(from);
+        if (docs.length) cursors.set(`${board}:${from + docs.length}`, docs[docs.length - 1]);
+
+        const total = await count(fs, fs.query(scores, ...scope(fs, board)));
+        return { ok: true, total, entries: docs.map((d, i) => entryOf(board, d.data(), from + i + 1)) };
+      } catch (e) {
+        return { ok: false, reason: 'network', detail: e.message };
+      }
+    }
+
+    // Rank = players strictly better + 1; neighbours are read on both sides of the player
+    async function around({ board = 'score', profileId, radius = 2 } = {}) {
+      try {
+        const { fs, db } = await connect();
+        const scores = fs.collection(db, 'scores');
+        const b = getBoard(board);
+        const field = sortField(board);
+        const total = await count(fs, fs.query(scores, ...scope(fs, board)));
+
+        const mine = (await fs.getDocs(fs.query(scores, fs.where('profileId', '==', profileId)))).docs[0];
+        const me = mine && mine.data();
+        if (!me || me[field] == null || (b.daily && me.dailyDay !== dayKey())) {
+          return { ok: true, total, rank: null, entries: [] };
+        }
+
+        const better = b.desc ? '>' : '<';
+        const worse = b.desc ? '<' : '>';
+        const r = Math.max(0, Math.min(10, Math.floor(Number(radius)) || 0));
+        const rank = await count(fs, fs.query(scores, ...scope(fs, board), fs.where(field, better, me[field]))) + 1;
+        const above = r ? (await fs.getDocs(fs.query(scores, ...scope(fs, board), fs.where(field, better, me[field]),
+          fs.orderBy(field, b.desc ? 'asc' : 'desc'), fs.limit(r)))).docs.map(d => d.data()).reverse() : [];
+        const below = r ? (await fs.getDocs(fs.query(scores, ...scope(fs, board), fs.where(field, worse, me[field]),
+          fs.orderBy(field, b.desc ? 'desc' : 'asc'), fs.limit(r)))).docs.map(d => d.data()) : [];
+
+        const entries = above.concat([me], below).map((s, i) => entryOf(board, s, rank - above.length + i));
+        return { ok: true, total, rank, entries };
+      } catch (e) {
+        return { ok: false, reason: 'network', detail: e.message };
+      }
+    }
+
+    return { name: 'firestore', submit, top, around };
+  }
+
+  const PROVIDERS = {
+    local: createLocalProvider,
+    rest: createRestProvider,
+    firestore: createFirestoreProvider,
+  };
+
+  /*
+   createLeaderboard(config, deps)
+     config: { provider: 'local' | 'rest' | 'firestore', local: {...}, rest: {...}, firestore: {...} }
+     deps: shared dependencies merged into the provider options (storage, fetch...)
+   An unknown provider falls back to the local one.
+  */
+  function createLeaderboard(config = {}, deps = {}) {
+    let name = config.provider || 'local';
+    if (!PROVIDERS[name]) {
+      console.warn(`Unknown leaderboard provider "${name}", using local`);
+      name = 'local';
+    }
+    const opts = Object.assign({}, deps, name === 'firestore' ? { config: config.firestore } : config[name]);
+    return PROVIDERS[name](opts);
+  }
+
+  const PikaLeaderboard = {
+    BOARDS,
+    PROVIDERS,
+    dayKey,
+    statsOf,
+    sortBoard,
+    pageOf,
+    aroundOf,
+    createLocalProvider,
+    createRestProvider,
+    createFirestoreProvider,
+    createLeaderboard,
+  };
+
+  // Browser: global `PikaLeaderboard` / Node: require('./leaderboard.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaLeaderboard;
+  else root.PikaLeaderboard = PikaLeaderboard;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,280 @@
+/*
+  FILE: particles.js
+  GROUP: Visual effects / Particle engine (canvas only, no other DOM)
+
+  Notes:
+  - Un seul moteur de particules dessine sur `#particlesCanvas` : étincelles au clic,
+    particules dorées et "+N" flottants sur les critiques, confettis du prestige.
+  - Les particules viennent d'un pool préalloué (MAX_PARTICLES) : aucune allocation pendant
+    le jeu, et quand le pool est plein les nouvelles particules sont simplement ignorées.
+  - Budget par image : si une image dépasse `frameBudgetMs`, la quantité émise baisse
+    (quality entre 0.25 et 1) puis remonte doucement quand le navigateur suit.
+  - L'animation (requestAnimationFrame) ne tourne que tant qu'il reste des particules en vie.
+  - SAFE TO EDIT: PRESETS (nombre, vitesse, durée de vie, couleurs), CPS_TIERS, MAX_PARTICLES.
+  - CAUTION: les durées et vitesses sont exprimées par image à 60 FPS (dt = 1).
+*/
+(function (root) {
+  'use strict';
+
+  const MAX_PARTICLES = 400;      // pool size (hard cap on particles alive at once)
+  const MAX_TEXTS = 24;           // floating "+N" labels alive at once
+  const FRAME_BUDGET_MS = 6;      // time allowed for update + draw per frame
+  const MAX_EMIT_PER_FRAME = 120; // extra bursts within one frame are dropped past this
+
+  /*
+   --- Presets ---
+   count: particles per burst, speed/life/size: [min, max] ranges,
+   gravity: added to vy each frame, shape: 'dot' | 'rect',
+   from: 'point' (burst at x, y) or 'top' (rain over the whole width).
+  */
+  const PRESETS = {
+    click: {
+      count: 8, speed: [1.5, 3.5], life: [20, 40], size: [1.5, 3], gravity: 0.08,
+      colors: ['#ffffff', '#fff8dc'], shape: 'dot', from: 'point',
+    },
+    crit: {
+      count: 22, speed: [2.5, 6], life: [35, 60], size: [2.5, 4.5], gravity: 0.1,
+      colors: ['#ffd700', '#ffb300', '#fff3b0'], shape: 'dot', from: 'point',
+    },
+    confetti: {
+      count: 60, speed: [2, 5], life: [100, 140], size: [4, 6], gravity: 0.05,
+      colors: ['#ffd54f', '#ff6a00', '#8be9fd', '#a777e3'], shape: 'rect', from: 'top',
+    },
+  };
+
+  /*
+   --- CPS tiers ---
+   The faster the player clicks, the bigger each burst: more, larger, faster particles.
+   tierForCps(cps) returns the index of the last tier reached.
+  */
+  const CPS_TIERS = [
+    { minCps: 0,  countMul: 1,   sizeMul: 1,    speedMul: 1 },
+    { minCps: 6,  countMul: 1.5, sizeMul: 1.15, speedMul: 1.15 },
+    { minCps: 10, countMul: 2,   sizeMul: 1.3,  speedMul: 1.3 },
+    { minCps: 15, countMul: 3,   sizeMul: 1.5,  speedMul: 1.5 },
+  ];
+
+  function tierForCps(cps) {
+    let tier = 0;
+    CPS_TIERS.forEach((t, i) => { if (cps >= t.minCps) tier = i; });
+    return tier;
+  }
+
+  function between(range, rng) {
+    return range[0] + rng() * (range[1] - range[0]);
+  }
+
+  /*
+   --- Particle system ---
+   createParticleSystem(canvas, opts)
+     opts.maxParticles, opts.frameBudgetMs: override the defaults above
+     opts.rng: random source (default Math.random)
+     opts.raf / opts.now: requestAnimationFrame and clock (injectable for Node)
+   The canvas may have no 2D context (very old browsers, tests): everything
+   then becomes a no-op.
+  */
+  function createParticleSystem(canvas, opts = {}) {
+    const maxParticles = opts.maxParticles || MAX_PARTICLES;
+    const frameBudgetMs = opts.frameBudgetMs || FRAME_BUDGET_MS;
+    const rng = opts.rng || Math.random;
+    const raf = opts.raf || (typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn) => setTimeout(fn, 16));
+    const now = opts.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+
+    let ctx = null;
+    try { ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null; } catch (e) {}
+
+    // Preallocated pool + stack of free slots
+    const pool = [];
+    const free = [];
+    for (let i = 0; i < maxParticles; i++) {
+      pool.push({ alive: false, x: 0, y: 0, vx: 0, vy: 0, life: 0, maxLife: 1, size: 1, gravity: 0, color: '#fff', shape: 'dot', rot: 0, vr: 0 });
+      free.push(i);
+    }
+    const texts = [];
+
+    let running = false;
+    let lastFrame = 0;
+    let emittedThisFrame = 0;
+    let quality = 1; // lowered when frames go over budget
+
+    // Matches the canvas backing store to its displayed size (sharp on HiDPI screens)
+    function fitCanvas() {
+      if (!ctx) return;
+      const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+      const w = canvas.clientWidth || canvas.width;
+      const h = canvas.clientHeight || canvas.height;
+      if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    function size() {
+      return { w: canvas.clientWidth || canvas.width, h: canvas.clientHeight || canvas.height };
+    }
+
+    function emitOne(p, x, y, preset, tier) {
+      const angle = preset.from === 'top' ? Math.PI / 2 + (rng() - 0.5) * 0.6 : rng() * Math.PI * 2;
+      const speed = between(preset.speed, rng) * tier.speedMul;
+      p.alive = true;
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(angle) * speed;
+      p.vy = Math.sin(angle) * speed - (preset.from === 'top' ? 0 : 1);
+      p.maxLife = p.life = between(preset.life, rng);
+      p.size = between(preset.size, rng) * tier.sizeMul;
+      p.gravity = preset.gravity;
+      p.color = preset.colors[Math.floor(rng() * preset.colors.length)];
+      p.shape = preset.shape;
+      p.rot = rng() * Math.PI;
+      p.vr = (rng() - 0.5) * 0.3;
+    }
+
+    /*
+     burst(name, x, y, { tier, count, colors })
+     Emits one preset at (x, y) in canvas CSS pixels. Returns how many
+     particles were actually emitted (0 when the pool or frame cap is full).
+    */
+    function burst(name, x, y, o = {}) {
+      if (!ctx) return 0;
+      const base = PRESETS[name];
+      if (!base) return 0;
+      const preset = o.colors ? Object.assign({}, base, { colors: o.colors }) : base;
+      const tier = CPS_TIERS[Math.max(0, Math.min(CPS_TIERS.length - 1, o.tier || 0))];
+
+      let n = Math.round((o.count || preset.count) * tier.countMul * quality);
+      n = Math.min(n, free.length, MAX_EMIT_PER_FRAME - emittedThisFrame);
+      if (n <= 0) return 0;
+
+      const { w } = size();
+      for (let i = 0; i < n; i++) {
+        const p = pool[free.pop()];
+        if (preset.from === 'top') emitOne(p, rng() * w, -10 - rng() * 40, preset, tier);
+        else emitOne(p, x, y, preset, tier);
+      }
+      emittedThisFrame += n;
+      start();
+      return n;
+    }
+
+    // Floating label ("+1 234") rising from (x, y) and fading out
+    function floatText(text, x, y, o = {}) {
+      if (!ctx) return;
+      if (texts.length >= MAX_TEXTS) texts.shift();
+      texts.push({
+        text: String(text), x, y,
+        vy: -1.2, life: 50, maxLife: 50,
+        color: o.color || '#ffd700',
+        font: `800 ${o.size || 20}px sans-serif`,
+      });
+      start();
+    }
+
+    // Rain of confetti over the whole canvas (prestige)
+    function confetti() {
+      return burst('confetti', 0, 0);
+    }
+
+    function start() {
+      if (running) return;
+      running = true;
+      fitCanvas();
+      lastFrame = now();
+      raf(frame);
+    }
+
+    function frame() {
+      const t0 = now();
+      // dt in 60 FPS frames, clamped so a background tab doesn't teleport particles
+      const dt = Math.min(3, Math.max(0.25, (t0 - lastFrame) / (1000 / 60)));
+      lastFrame = t0;
+      emittedThisFrame = 0;
+
+      const { w, h } = size();
+      ctx.clearRect(0, 0, w, h);
+
+      let alive = 0;
+      for (let i = 0; i < pool.length; i++) {
+        const p = pool[i];
+        if (!p.alive) continue;
+        p.life -= dt;
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+        p.vy += p.gravity * dt;
+        p.rot += p.vr * dt;
+        if (p.life <= 0 || p.y > h + 20) {
+          p.alive = false;
+          free.push(i);
+          continue;
+        }
+        alive++;
+        ctx.globalAlpha = Math.min(1, p.life / (p.maxLife * 0.4));
+        ctx.fillStyle = p.color;
+        if (p.shape === 'rect') {
+          ctx.save();
+          ctx.translate(p.x, p.y);
+          ctx.rotate(p.rot);
+          ctx.fillRect(-p.size / 2, -p.size / 3, p.size, p.size * 0.66);
+          ctx.restore();
+        } else {
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+
+      for (let i = texts.length - 1; i >= 0; i--) {
+        const t = texts[i];
+        t.life -= dt;
+        t.y += t.vy * dt;
+        if (t.life <= 0) { texts.splice(i, 1); continue; }
+        ctx.globalAlpha = Math.min(1, t.life / (t.maxLife * 0.5));
+        ctx.font = t.font;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = t.color;
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        ctx.lineWidth = 3;
+        ctx.strokeText(t.text, t.x, t.y);
+        ctx.fillText(t.text, t.x, t.y);
+      }
+      ctx.globalAlpha = 1;
+
+      // Frame budget: emit less while frames are too slow, recover slowly otherwise
+      const spent = now() - t0;
+      if (spent > frameBudgetMs) quality = Math.max(0.25, quality * 0.8);
+      else quality = Math.min(1, quality + 0.02);
+
+      if (alive > 0 || texts.length > 0) {
+        raf(frame);
+      } else {
+        running = false;
+        ctx.clearRect(0, 0, w, h);
+      }
+    }
+
+    function clear() {
+      pool.forEach((p, i) => { if (p.alive) { p.alive = false; free.push(i); } });
+      texts.length = 0;
+    }
+
+    function stats() {
+      return { alive: maxParticles - free.length, texts: texts.length, quality, running };
+    }
+
+    return { burst, floatText, confetti, clear, stats };
+  }
+
+  const PikaParticles = {
+    MAX_PARTICLES,
+    FRAME_BUDGET_MS,
+    PRESETS,
+    CPS_TIERS,
+    tierForCps,
+    createParticleSystem,
+  };
+
+  // Browser: global `PikaParticles` / Node: require('./particles.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaParticles;
+  else root.PikaParticles = PikaParticles;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,192 @@
+/*
+  FILE: profiles.js
+  GROUP: Persistence / Player profiles (headless, no DOM)
+
+  Notes:
+  - Chaque joueur d'une même machine a son propre profil et sa propre sauvegarde,
+    rangée sous la clé `clickerState:<profileId>` au lieu de l'ancienne clé unique `clickerState`.
+  - L'index des profils est stocké sous `clickerProfiles` :
+        { activeId, profiles: [{ id, pseudo, createdAt }] }
+  - Le pseudo est unique (sans tenir compte des majuscules) : taper un pseudo existant
+    reprend ce profil, un nouveau pseudo crée un nouveau profil vierge.
+  - `createProfileStore(storage)` prend n'importe quel objet type localStorage
+    (getItem / setItem / removeItem), ce qui permet de l'utiliser sous Node.
+  - CAUTION: ne pas changer PROFILES_KEY ni le préfixe SAVE_PREFIX, les sauvegardes existantes en dépendent.
+*/
+(function (root) {
+  'use strict';
+
+  const PROFILES_KEY = 'clickerProfiles';
+  const SAVE_PREFIX = 'clickerState:';
+  const LOG_PREFIX = 'clickerLog:';
+  const JOURNAL_PREFIX = 'clickerJournal:';
+  const LEGACY_SAVE_KEY = 'clickerState';
+  const BACKUP_PREFIX = 'clicker_backup_';
+
+  // Short unique id ("p_lq2x9k_4f7a1c"), also used to identify the player on leaderboards
+  function newProfileId() {
+    return 'p_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+  }
+
+  function samePseudo(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+
+  function createProfileStore(storage) {
+    function readIndex() {
+      try {
+        const idx = JSON.parse(storage.getItem(PROFILES_KEY));
+        if (idx && Array.isArray(idx.profiles)) return idx;
+      } catch (e) {}
+      return { activeId: null, profiles: [] };
+    }
+
+    function writeIndex(idx) {
+      storage.setItem(PROFILES_KEY, JSON.stringify(idx));
+    }
+
+    function saveKey(id) {
+      return SAVE_PREFIX + id;
+    }
+
+    // Click log of the profile since its last leaderboard submission (clicklog.js)
+    function logKey(id) {
+      return LOG_PREFIX + id;
+    }
+
+    // Event journal of the profile (journal.js)
+    function journalKey(id) {
+      return JOURNAL_PREFIX + id;
+    }
+
+    function list() {
+      return readIndex().profiles.slice();
+    }
+
+    function get(id) {
+      return readIndex().profiles.find(p => p.id === id) || null;
+    }
+
+    function findByPseudo(pseudo) {
+      return readIndex().profiles.find(p => samePseudo(p.pseudo, pseudo)) || null;
+    }
+
+    // Creates a profile; returns { ok, profile } or { ok: false, reason: 'empty' | 'taken' }
+    function create(pseudo) {
+      const name = String(pseudo || '').trim();
+      if (!name) return { ok: false, reason: 'empty' };
+      if (findByPseudo(name)) return { ok: false, reason: 'taken' };
+      const idx = readIndex();
+      const profile = { id: newProfileId(), pseudo: name, createdAt: Date.now() };
+      idx.profiles.push(profile);
+      writeIndex(idx);
+      return { ok: true, profile };
+    }
+
+    // Renames a profile and the pseudo stored in its save
+    function rename(id, pseudo) {
+      const name = String(pseudo || '').trim();
+      if (!name) return { ok: false, reason: 'empty' };
+      const other = findByPseudo(name);
+      if (other && other.id !== id) return { ok: false, reason: 'taken' };
+      const idx = readIndex();
+      const profile = idx.profiles.find(p => p.id === id);
+      if (!profile) return { ok: false, reason: 'unknown' };
+      profile.pseudo = name;
+      writeIndex(idx);
+
+      const raw = storage.getItem(saveKey(id));
+      if (raw) {
+        try {
+          const save = JSON.parse(raw);
+          save.pseudo = name;
+          storage.setItem(saveKey(id), JSON.stringify(save));
+        } catch (e) {}
+      }
+      return { ok: true, profile };
+    }
+
+    // Deletes a profile, its save, its click log and its journal
+    function remove(id) {
+      const idx = readIndex();
+      const before = idx.profiles.length;
+      idx.profiles = idx.profiles.filter(p => p.id !== id);
+      if (idx.profiles.length === before) return { ok: false, reason: 'unknown' };
+      if (idx.activeId === id) idx.activeId = null;
+      writeIndex(idx);
+      storage.removeItem(saveKey(id));
+      storage.removeItem(logKey(id));
+      storage.removeItem(journalKey(id));
+      return { ok: true };
+    }
+
+    function setActive(id) {
+      const idx = readIndex();
+      idx.activeId = idx.profiles.some(p => p.id === id) ? id : null;
+      writeIndex(idx);
+    }
+
+    function getActive() {
+      const idx = readIndex();
+      return idx.profiles.find(p => p.id === idx.activeId) || null;
+    }
+
+    // Raw save string of a profile (null when it never saved)
+    function readSave(id) {
+      return storage.getItem(saveKey(id));
+    }
+
+    /*
+     Moves the pre-profiles global `clickerState` save into its own profile
+     (named after the pseudo found in the save). When that profile already has a
+     save, the old one is kept under `clicker_backup_<profileId>` instead of being
+     dropped. Returns the profile or null.
+    */
+    function migrateLegacy() {
+      const raw = storage.getItem(LEGACY_SAVE_KEY);
+      if (!raw) return null;
+      let pseudo = '';
+      try { pseudo = JSON.parse(raw).pseudo || ''; } catch (e) {}
+
+      const existing = pseudo && findByPseudo(pseudo);
+      let profile = existing || null;
+      if (!profile) {
+        const res = create(pseudo || 'Joueur');
+        profile = res.ok ? res.profile : create('Joueur ' + (list().length + 1)).profile;
+      }
+      // A failed write throws before the removal: the old save stays where it was
+      if (!storage.getItem(saveKey(profile.id))) storage.setItem(saveKey(profile.id), raw);
+      else storage.setItem(BACKUP_PREFIX + profile.id, raw);
+      storage.removeItem(LEGACY_SAVE_KEY);
+      return profile;
+    }
+
+    return {
+      saveKey,
+      logKey,
+      journalKey,
+      list,
+      get,
+      findByPseudo,
+      create,
+      rename,
+      remove,
+      setActive,
+      getActive,
+      readSave,
+      migrateLegacy,
+    };
+  }
+
+  const PikaProfiles = {
+    PROFILES_KEY,
+    SAVE_PREFIX,
+    LOG_PREFIX,
+    LEGACY_SAVE_KEY,
+    createProfileStore,
+  };
+
+  // Browser: global `PikaProfiles` / Node: require('./profiles.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaProfiles;
+  else root.PikaProfiles = PikaProfiles;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,355 @@
+/*
+  FILE: save.js
+  GROUP: Persistence / Save format (headless, no DOM)
+
+  Notes:
+  - Décrit le format de la sauvegarde `clickerState` : numéro de version, schéma des champs
+    et liste ordonnée de migrations. Toute sauvegarde (même très ancienne) passe par
+    `loadSave()` : migration jusqu'à SAVE_VERSION, puis validation champ par champ.
+  - Les champs inconnus ou invalides sont rejetés (et listés dans `warnings`), les champs
+    manquants reçoivent leur valeur par défaut.
+  - Export / import : `exportSave()` produit un fichier JSON avec version et somme de contrôle,
+    `parseExport()` le vérifie avant de le passer à `loadSave()`.
+  - SAFE TO EDIT: ajouter une migration à la fin de MIGRATIONS (et incrémenter SAVE_VERSION)
+    à chaque changement d'équilibrage ou de format ; ajouter un champ à SAVE_SCHEMA.
+  - CAUTION: ne jamais modifier ou supprimer une migration déjà publiée, les anciennes
+    sauvegardes des joueurs en dépendent.
+*/
+(function (root) {
+  'use strict';
+
+  const PikaEngine = (typeof module !== 'undefined' && module.exports) ? require('./engine.js') : root.PikaEngine;
+  const D = PikaEngine.DEFAULT_STATE;
+
+  /*
+   --- Save schema ---
+   One entry per field kept in the save.
+     - type: 'number' | 'int' | 'big' | 'boolean' | 'string' | 'object' | 'array'
+     - default: value used when the field is missing or invalid
+     - oneOf: allowed values (strings)
+     - fields: nested schema (objects with a known shape)
+  */
+  const SAVE_SCHEMA = {
+    pseudo:               { type: 'string', default: '' },
+    score:                { type: 'big', default: D.score },
+    totalClicks:          { type: 'int', default: D.totalClicks },
+    autoClickers:         { type: 'int', default: D.autoClickers },
+    autoClickCost:        { type: 'big', default: D.autoClickCost },
+    multiplier:           { type: 'number', default: D.multiplier },
+    multiplierCost:       { type: 'big', default: D.multiplierCost },
+    critChance:           { type: 'number', default: D.critChance },
+    critPower:            { type: 'number', default: D.critPower },
+    critChanceCost:       { type: 'big', default: D.critChanceCost },
+    critPowerCost:        { type: 'big', default: D.critPowerCost },
+    tempBoostActive:      { type: 'boolean', default: D.tempBoostActive },
+    tempBoostEnd:         { type: 'number', default: D.tempBoostEnd },
+    tempBoostCost:        { type: 'big', default: D.tempBoostCost },
+    effects:              { type: 'object', default: D.effects },
+    prestigeCount:        { type: 'int', default: D.prestigeCount },
+    prestigeBonus:        { type: 'number', default: D.prestigeBonus },
+    prestigeCost:         { type: 'big', default: D.prestigeCost },
+    prestigePoints:       { type: 'int', default: D.prestigePoints },
+    prestigePointsTotal:  { type: 'int', default: D.prestigePointsTotal },
+    skills:               { type: 'object', default: D.skills },
+    bestTimed:            { type: 'big', default: D.bestTimed },
+    bestTimed15:          { type: 'big', default: D.bestTimed15 },
+    bestTimed30:          { type: 'big', default: D.bestTimed30 },
+    bestTimed120:         { type: 'big', default: D.bestTimed120 },
+    daily: {
+      type: 'object',
+      default: D.daily,
+      fields: {
+        day:          { type: 'string', default: D.daily.day },
+        type:         { type: 'string', default: D.daily.type, oneOf: Object.keys(PikaEngine.DAILY_TYPES) },
+        active:       { type: 'boolean', default: D.daily.active },
+        target:       { type: 'number', default: D.daily.target },
+        progress:     { type: 'number', default: D.daily.progress },
+        rewardPct:    { type: 'number', default: D.daily.rewardPct },
+        expiresAt:    { type: 'number', default: D.daily.expiresAt },
+        claimedToday: { type: 'boolean', default: D.daily.claimedToday },
+        startedAt:    { type: 'number', default: D.daily.startedAt },
+        completedInMs: { type: 'number', default: D.daily.completedInMs },
+        completedOn:  { type: 'string', default: D.daily.completedOn },
+      }
+    },
+    dailyHistory:         { type: 'object', default: D.dailyHistory },
+    dailyStreak:          { type: 'int', default: D.dailyStreak },
+    dailyBestStreak:      { type: 'int', default: D.dailyBestStreak },
+    dailyLastWin:         { type: 'string', default: D.dailyLastWin },
+    streakFreezes:        { type: 'int', default: D.streakFreezes },
+    weekly: {
+      type: 'object',
+      default: D.weekly,
+      fields: {
+        week:         { type: 'string', default: D.weekly.week },
+        claimed:      { type: 'boolean', default: D.weekly.claimed },
+      }
+    },
+    theme:                { type: 'string', default: 'normal' },
+    soundOn:              { type: 'boolean', default: false },
+    musicOn:              { type: 'boolean', default: false },
+    achievementsUnlocked: { type: 'object', default: {} },   // id → unlock time (achievements.js)
+    volumes:              { type: 'object', default: {} },
+    soundVolumes:         { type: 'object', default: {} },
+    soundType:            { type: 'string', default: 'click', oneOf: ['master', 'click', 'crit', 'achievement', 'music'] },
+    ownedSkins:           { type: 'array', default: [] },
+    currentSkin:          { type: 'string', default: 'default' },
+    numberNotation:       { type: 'string', default: 'suffix', oneOf: ['suffix', 'scientific'] },
+    bindings:             { type: 'object', default: {} },   // changes to the default controls (bindings.js)
+    stats:                { type: 'object', default: {} },   // lifetime / per-run totals and history (stats.js)
+    lastSeen:             { type: 'number', default: 0 },
+  };
+
+  /*
+   --- Migrations ---
+   Ordered list; MIGRATIONS[i] upgrades a save from version i to version i + 1.
+   Saves written before versioning existed are version 0.
+   Each migration receives a plain object and returns the migrated object.
+  */
+  const MIGRATIONS = [
+    // 0 → 1: legacy saves. persist() and persistScoreNow() used to write two different
+    // shapes under the same key; the full-state blob also carried runtime-only fields.
+    function toV1(data) {
+      if (!data.prestigeCost) data.prestigeCost = 20000;
+      if (!data.soundVolumes && data.volumes) data.soundVolumes = Object.assign({}, data.volumes);
+      ['timedActive', 'timedTimeLeft', 'timedScore', 'bonusActive', 'lastClickTime'].forEach(k => delete data[k]);
+      return data;
+    },
+    // 1 → 2: prestige skill tree. The flat +10% per prestige becomes levels of the
+    // "gains" skill (up to its max); bonus beyond that is refunded as unspent points.
+    function toV2(data) {
+      const levels = Math.max(0, Math.round((Number(data.prestigeBonus) || 0) / 10));
+      const max = PikaEngine.getSkill('gains').max;
+      const kept = Math.min(levels, max);
+      data.skills = kept ? { gains: kept } : {};
+      data.prestigePoints = levels - kept;
+      data.prestigePointsTotal = levels;
+      data.prestigeBonus = kept * 10;
+      return data;
+    },
+    // 2 → 3: achievements keyed by a stable id (achievements.js) instead of their display
+    // text, which contained the pseudo and also stored plain notifications. Known texts
+    // become ids (date unknown: 0), everything else is dropped.
+    function toV3(data) {
+      const old = data.achievementsUnlocked || {};
+      const out = {};
+      const upTo = (prefix, thresholds, n) => thresholds.filter(t => t <= n).forEach(t => { out[`${prefix}_${t}`] = 0; });
+      Object.keys(old).forEach(text => {
+        let m;
+        if ((m = text.match(/a atteint ([\d\s.,\u00a0\u202f]+) clics/))) upTo('clicks', [100, 1000, 10000, 100000, 1000000, 10000000], Number(m[1].replace(/\D/g, '')));
+        else if ((m = text.match(/a atteint (\d+) Auto-Clickers/))) upTo('auto', [10, 25, 50, 100, 250], Number(m[1]));
+        else if ((m = text.match(/Multiplicateur x(\d+)/))) upTo('mult', [10, 25, 50, 100], Number(m[1]));
+        else if ((m = text.match(/Crit% augmenté à (\d+)%/))) upTo('crit', [5, 10, 25], Number(m[1]));
+        else if ((m = text.match(/Prestige #(\d+)/))) upTo('prestige', [1, 5, 10, 25], Number(m[1]));
+        else if (/Frenzy/.test(text)) out.frenzy = 0;
+        else if (/Défi réussi/.test(text)) out.daily_first = 0;
+        else if (/Fin: score/.test(text)) out.timed_first = 0;
+      });
+      data.achievementsUnlocked = out;
+      return data;
+    },
+    // 3 → 4: gamepad navigation. B, Start and the d-pad (buttons 1, 9, 12-15) became menu
+    // buttons (bindings.js RESERVED) and a saved action on one of them would be dropped
+    // silently: the action goes back to its default button instead.
+    function toV4(data) {
+      const pad = data.bindings && data.bindings.pad;
+      if (pad && typeof pad === 'object') {
+        Object.keys(pad).forEach(id => {
+          if ([1, 9, 12, 13, 14, 15].includes(pad[id])) delete pad[id];
+        });
+      }
+      return data;
+    },
+  ];
+
+  const SAVE_VERSION = MIGRATIONS.length;
+
+  // Deep copy of a default value (objects/arrays must never be shared with the schema)
+  function copyDefault(v) {
+    return (v && typeof v === 'object') ? JSON.parse(JSON.stringify(v)) : v;
+  }
+
+  function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  // Whether `value` matches a schema rule
+  function isValid(rule, value) {
+    switch (rule.type) {
+      case 'number':  return typeof value === 'number' && Number.isFinite(value);
+      case 'int':     return Number.isInteger(value) && value >= 0;
+      case 'big':     return (typeof value === 'number' && Number.isFinite(value) && value >= 0)
+                          || (typeof value === 'string' && /^\d+(\.\d+)?(e\+?\d+)?$/i.test(value));
+      case 'boolean': return typeof value === 'boolean';
+      case 'string':  return typeof value === 'string' && (!rule.oneOf || rule.oneOf.includes(value));
+      case 'object':  return isPlainObject(value);
+      case 'array':   return Array.isArray(value);
+      default:        return false;
+    }
+  }
+
+  /*
+   Validates `data` against `schema`. Returns a new object holding only known,
+   valid fields (defaults filled in) and pushes one message per rejected field
+   into `warnings`.
+  */
+  function validate(data, schema = SAVE_SCHEMA, warnings = [], path = '') {
+    const out = {};
+    Object.keys(data).forEach(k => {
+      if (!schema[k] && k !== 'version') warnings.push(`unknown field "${path}${k}" dropped`);
+    });
+    Object.keys(schema).forEach(k => {
+      const rule = schema[k];
+      const value = data[k];
+      if (value === undefined) {
+        out[k] = copyDefault(rule.default);
+      } else if (!isValid(rule, value)) {
+        warnings.push(`invalid field "${path}${k}" reset to default`);
+        out[k] = copyDefault(rule.default);
+      } else if (rule.fields) {
+        out[k] = validate(value, rule.fields, warnings, `${path}${k}.`);
+      } else {
+        out[k] = copyDefault(value);
+      }
+    });
+    return out;
+  }
+
+  /*
+   --- Load ---
+   Parses a raw `clickerState` string (or an already parsed object),
+   runs the pending migrations and validates the result.
+   Returns { ok: true, data, version, warnings } or { ok: false, error }.
+   Saves that cannot be read or migrated are never partially applied.
+  */
+  function loadSave(raw) {
+    let data;
+    try {
+      data = (typeof raw === 'string') ? JSON.parse(raw) : JSON.parse(JSON.stringify(raw));
+    } catch (e) {
+      return { ok: false, error: 'JSON invalide : ' + e.message };
+    }
+    if (!isPlainObject(data)) return { ok: false, error: 'la sauvegarde n\'est pas un objet' };
+
+    const from = data.version === undefined ? 0 : data.version;
+    if (!Number.isInteger(from) || from < 0) return { ok: false, error: `version invalide (${data.version})` };
+    if (from > SAVE_VERSION) return { ok: false, error: `version ${from} plus récente que le jeu (${SAVE_VERSION})` };
+
+    try {
+      for (let v = from; v < SAVE_VERSION; v++) {
+        data = MIGRATIONS[v](data) || data;
+      }
+    } catch (e) {
+      return { ok: false, error: `migration ${from} → ${SAVE_VERSION} impossible : ${e.message}` };
+    }
+
+    const warnings = [];
+    const out = validate(data, SAVE_SCHEMA, warnings);
+    return { ok: true, data: out, version: from, warnings };
+  }
+
+  /*
+   --- Serialize ---
+   Builds the object written to `clickerState`: the current version plus the
+   schema fields read from `source` (BigNum values go through their toJSON).
+  */
+  function serializeSave(source) {
+    const out = { version: SAVE_VERSION };
+    Object.keys(SAVE_SCHEMA).forEach(k => {
+      if (source[k] !== undefined) out[k] = source[k];
+    });
+    return JSON.parse(JSON.stringify(out));
+  }
+
+  /*
+   --- Export / Import files ---
+   An export file wraps a serialized save with a format tag, the save version
+   and a checksum of its content, so a truncated or hand-edited file is refused:
+     { format, version, exportedAt, checksum, save }
+  */
+  const EXPORT_FORMAT = 'pikagirl-save';
+
+  // JSON with object keys sorted at every level (stable input for the checksum)
+  function canonicalJSON(v) {
+    if (Array.isArray(v)) return '[' + v.map(canonicalJSON).join(',') + ']';
+    if (isPlainObject(v)) {
+      return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + canonicalJSON(v[k])).join(',') + '}';
+    }
+    return JSON.stringify(v);
+  }
+
+  // FNV-1a 32-bit hash as 8 hex chars (detects corruption, not a security measure)
+  function checksum(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  // Builds the export file object for a serialized save (see serializeSave)
+  function exportSave(save, exportedAt = Date.now()) {
+    return {
+      format: EXPORT_FORMAT,
+      version: save.version,
+      exportedAt,
+      checksum: checksum(canonicalJSON(save)),
+      save,
+    };
+  }
+
+  /*
+   Reads an export file (text). Checks the format tag and the checksum,
+   then goes through loadSave() like any other save.
+   Returns the loadSave() result plus `exportedAt`, or { ok: false, error }.
+  */
+  function parseExport(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, error: 'fichier JSON invalide' };
+    }
+    if (!isPlainObject(file) || file.format !== EXPORT_FORMAT || !isPlainObject(file.save)) {
+      return { ok: false, error: 'ce fichier n\'est pas une sauvegarde PikaGirl' };
+    }
+    if (file.checksum !== checksum(canonicalJSON(file.save))) {
+      return { ok: false, error: 'somme de contrôle incorrecte (fichier modifié ou abîmé)' };
+    }
+    const res = loadSave(file.save);
+    if (res.ok) res.exportedAt = file.exportedAt;
+    return res;
+  }
+
+  /*
+   Summary of what an import would change: score, prestige and achievements.
+   Both arguments are validated save objects; returns [{ label, from, to }].
+  */
+  function diffSaves(current, incoming) {
+    const count = (s) => Object.keys(s.achievementsUnlocked || {}).length;
+    return [
+      { label: 'score', from: current.score, to: incoming.score },
+      { label: 'prestige', from: current.prestigeCount, to: incoming.prestigeCount },
+      { label: 'achievements', from: count(current), to: count(incoming) },
+    ];
+  }
+
+  const PikaSave = {
+    SAVE_VERSION,
+    SAVE_SCHEMA,
+    MIGRATIONS,
+    validate,
+    loadSave,
+    serializeSave,
+    EXPORT_FORMAT,
+    checksum,
+    exportSave,
+    parseExport,
+    diffSaves,
+  };
+
+  // Browser: global `PikaSave` / Node: require('./save.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaSave;
+  else root.PikaSave = PikaSave;
+})(typeof window !== 'undefined' ? window : globalThis);
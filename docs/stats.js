@@ -0,0 +1,274 @@
+/*
+  FILE: stats.js
+  GROUP: Game rules / Lifetime statistics and history charts (headless; charts draw on a given canvas)
+
+  Notes:
+  - `state.stats` (gardé dans la sauvegarde du profil) :
+      lifetime : totaux depuis la création du profil (jamais remis à zéro),
+      run      : totaux de la partie en cours (remis à zéro à chaque prestige),
+      runs     : résumé des dernières parties terminées (MAX_RUNS au plus),
+      series   : un point toutes les SAMPLE_MS de jeu [heure, partie, points/min, clics/s]
+                 (MAX_SAMPLES au plus : les plus anciens sont oubliés).
+    Totaux : clics, critiques, points gagnés, dépensés par amélioration, événements aléatoires
+    (nombre et points), temps de jeu et meilleur CPS.
+  - `attach(engine, getStats)` enveloppe les actions du moteur (comme clicklog.js) : chaque
+    gain, achat, bonus ou prestige est compté au même endroit, quel que soit le bouton utilisé.
+    Le temps de jeu et l'échantillonnage viennent de `track()`, appelé par script.js chaque
+    seconde de jeu (onglet visible).
+  - Points et dépenses sont des BigNum (bignum.js), sauvegardés par leur toJSON ; revive() les relit.
+  - SAFE TO EDIT: SAMPLE_MS, MAX_SAMPLES, MAX_RUNS, CHART (couleurs, marges).
+*/
+(function (root) {
+  'use strict';
+
+  const BigNum = (typeof module !== 'undefined' && module.exports) ? require('./bignum.js') : root.BigNum;
+
+  const SAMPLE_MS = 30 * 1000; // play time between two points of the series
+  const MAX_SAMPLES = 240;     // 2 hours of play at one point every 30 s
+  const MAX_RUNS = 30;         // finished runs kept
+
+  function emptyTotals() {
+    return {
+      clicks: 0,
+      crits: 0,
+      earned: BigNum.ZERO,
+      spent: {},           // upgrade id (engine.js UPGRADES) → points spent
+      bonuses: 0,
+      bonusPoints: BigNum.ZERO,
+      playMs: 0,
+      peakCps: 0,
+    };
+  }
+
+  // New statistics; run: prestige count at the start of the current run
+  function createStats(run = 0, t = Date.now()) {
+    return {
+      lifetime: emptyTotals(),
+      run: Object.assign(emptyTotals(), { index: run, startedAt: t }),
+      runs: [],
+      series: [],
+      mark: { playMs: 0, earned: BigNum.ZERO, clicks: 0 }, // lifetime values at the last sample
+    };
+  }
+
+  function count(v) {
+    return Number.isFinite(v) && v >= 0 ? v : 0;
+  }
+
+  function reviveTotals(raw, into) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    ['clicks', 'crits', 'bonuses', 'playMs', 'peakCps'].forEach(k => { into[k] = count(src[k]); });
+    into.earned = BigNum.from(src.earned);
+    into.bonusPoints = BigNum.from(src.bonusPoints);
+    const spent = (src.spent && typeof src.spent === 'object') ? src.spent : {};
+    Object.keys(spent).forEach(id => {
+      if (/^\w{1,32}$/.test(id)) into.spent[id] = BigNum.from(spent[id]);
+    });
+    return into;
+  }
+
+  /*
+   Statistics read from a save (numbers and "1.5e42" strings back to BigNum, bad values dropped).
+   state: the loaded game state; a save older than the statistics starts the current run
+   (and the lifetime totals) from its click counter.
+  */
+  function revive(raw, state = {}, t = Date.now()) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    const out = createStats(count(state.prestigeCount), t);
+    if (!src.run) {
+      out.run.clicks = out.lifetime.clicks = count(state.totalClicks);
+      out.mark.clicks = out.lifetime.clicks;
+      return out;
+    }
+    reviveTotals(src.lifetime, out.lifetime);
+    reviveTotals(src.run, out.run);
+    out.run.index = count(src.run.index);
+    out.run.startedAt = count(src.run.startedAt) || t;
+    out.runs = (Array.isArray(src.runs) ? src.runs : []).slice(-MAX_RUNS).map(r => Object.assign(
+      reviveTotals(r, emptyTotals()),
+      { index: count(r && r.index), startedAt: count(r && r.startedAt), endedAt: count(r && r.endedAt) }
+    ));
+    out.series = (Array.isArray(src.series) ? src.series : [])
+      .filter(p => Array.isArray(p) && p.length === 4 && p.every(v => Number.isFinite(v)))
+      .slice(-MAX_SAMPLES);
+    const mark = (src.mark && typeof src.mark === 'object') ? src.mark : {};
+    out.mark = { playMs: count(mark.playMs), earned: BigNum.from(mark.earned), clicks: count(mark.clicks) };
+    return out;
+  }
+
+  // Adds to both the lifetime and the run totals
+  function both(stats, fn) {
+    fn(stats.lifetime);
+    fn(stats.run);
+  }
+
+  function countClick(stats, gain, isCrit) {
+    both(stats, s => {
+      s.clicks += 1;
+      if (isCrit) s.crits += 1;
+      s.earned = s.earned.add(gain);
+    });
+  }
+
+  function countEarned(stats, gain) {
+    if (BigNum.from(gain).isZero()) return;
+    both(stats, s => { s.earned = s.earned.add(gain); });
+  }
+
+  function countSpent(stats, id, cost) {
+    both(stats, s => { s.spent[id] = (s.spent[id] || BigNum.ZERO).add(cost); });
+  }
+
+  function countBonus(stats, gain) {
+    both(stats, s => {
+      s.bonuses += 1;
+      s.bonusPoints = s.bonusPoints.add(gain);
+      s.earned = s.earned.add(gain);
+    });
+  }
+
+  function notePeakCps(stats, cps) {
+    both(stats, s => { s.peakCps = Math.max(s.peakCps, cps); });
+  }
+
+  // Total spent over every upgrade of a totals object
+  function spentTotal(totals) {
+    return Object.keys(totals.spent).reduce((sum, id) => sum.add(totals.spent[id]), BigNum.ZERO);
+  }
+
+  /*
+   `ms` of play went by: play time, then one point of the series per SAMPLE_MS of play
+   (points per minute and average clicks per second since the previous point).
+  */
+  function track(stats, ms, t = Date.now()) {
+    both(stats, s => { s.playMs += ms; });
+    const m = stats.mark;
+    const elapsed = stats.lifetime.playMs - m.playMs;
+    if (elapsed < SAMPLE_MS) return false;
+
+    const minutes = elapsed / 60000;
+    const perMin = stats.lifetime.earned.sub(m.earned).toNumber() / minutes;
+    const cps = (stats.lifetime.clicks - m.clicks) / (elapsed / 1000);
+    stats.series.push([t, stats.run.index, Number.isFinite(perMin) ? perMin : 0, Math.round(cps * 100) / 100]);
+    if (stats.series.length > MAX_SAMPLES) stats.series.splice(0, stats.series.length - MAX_SAMPLES);
+    stats.mark = { playMs: stats.lifetime.playMs, earned: stats.lifetime.earned, clicks: stats.lifetime.clicks };
+    return true;
+  }
+
+  // Prestige: the current run goes to the history, a new one starts
+  function endRun(stats, nextIndex, t = Date.now()) {
+    stats.runs.push(Object.assign({}, stats.run, { endedAt: t }));
+    if (stats.runs.length > MAX_RUNS) stats.runs.splice(0, stats.runs.length - MAX_RUNS);
+    stats.run = Object.assign(emptyTotals(), { index: nextIndex, startedAt: t });
+  }
+
+  /*
+   --- Engine hook ---
+   Wraps the engine actions that change the score (like clicklog.attach).
+   getStats: returns the statistics to update (state.stats, replaced on profile load).
+  */
+  function attach(engine, getStats) {
+    function wrap(name, after) {
+      const fn = engine[name];
+      if (typeof fn !== 'function') return;
+      engine[name] = function (...args) {
+        const res = fn.apply(engine, args);
+        const stats = getStats();
+        if (stats && res) {
+          try { after(stats, res, args); } catch (e) { console.warn('Stats:', e); }
+        }
+        return res;
+      };
+    }
+
+    wrap('click', (s, res) => countClick(s, res.gain, res.isCrit));
+    wrap('tick', (s, res) => countEarned(s, res.gain));
+    wrap('applyOffline', (s, res) => countEarned(s, res.gain));
+    wrap('claimBonus', (s, res) => { if (res.ok) countBonus(s, res.bonus); });
+    wrap('buy', (s, res, args) => { if (res.ok) countSpent(s, args[0], res.cost); });
+    wrap('prestige', (s, res) => { if (res.ok) endRun(s, engine.state.prestigeCount); });
+    return engine;
+  }
+
+  /*
+   --- Charts ---
+   Line chart of a series column on a 2D context: one point per sample, a dashed line
+   and the run number where a prestige happened. opts: { color, format(value), empty }.
+  */
+  const CHART = { pad: 6, axisColor: 'rgba(255,255,255,0.35)', textColor: 'rgba(255,255,255,0.8)', font: '11px sans-serif' };
+
+  function drawLineChart(ctx, series, column, opts = {}) {
+    if (!ctx) return;
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const format = opts.format || (v => String(Math.round(v)));
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = CHART.font;
+    ctx.fillStyle = CHART.textColor;
+
+    if (series.length < 2) {
+      ctx.textAlign = 'center';
+      ctx.fillText(opts.empty || '', w / 2, h / 2);
+      return;
+    }
+
+    const values = series.map(p => (Number.isFinite(p[column]) ? p[column] : 0));
+    const max = Math.max(...values) || 1;
+    const top = CHART.pad + 12;
+    const bottom = h - CHART.pad;
+    const x = i => CHART.pad + (i / (series.length - 1)) * (w - 2 * CHART.pad);
+    const y = v => bottom - (v / max) * (bottom - top);
+
+    ctx.strokeStyle = CHART.axisColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(CHART.pad, bottom);
+    ctx.lineTo(w - CHART.pad, bottom);
+    ctx.stroke();
+
+    ctx.textAlign = 'left';
+    ctx.fillText(format(max), CHART.pad, CHART.pad + 8);
+
+    // Run boundaries (prestiges)
+    ctx.setLineDash([3, 3]);
+    for (let i = 1; i < series.length; i++) {
+      if (series[i][1] === series[i - 1][1]) continue;
+      ctx.beginPath();
+      ctx.moveTo(x(i), top);
+      ctx.lineTo(x(i), bottom);
+      ctx.stroke();
+      const right = x(i) > w / 2; // label on the inner side of the line
+      ctx.textAlign = right ? 'right' : 'left';
+      ctx.fillText(`#${series[i][1] + 1}`, x(i) + (right ? -2 : 2), bottom - 2);
+    }
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = opts.color || '#ffd45f';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((v, i) => (i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(x(i), y(v))));
+    ctx.stroke();
+  }
+
+  const PikaStats = {
+    SAMPLE_MS,
+    MAX_SAMPLES,
+    MAX_RUNS,
+    createStats,
+    revive,
+    countClick,
+    countEarned,
+    countSpent,
+    countBonus,
+    notePeakCps,
+    spentTotal,
+    track,
+    endRun,
+    attach,
+    drawLineChart,
+  };
+
+  // Browser: global `PikaStats` / Node: require('./stats.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaStats;
+  else root.PikaStats = PikaStats;
+})(typeof window !== 'undefined' ? window : globalThis);
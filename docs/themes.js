@@ -0,0 +1,157 @@
+/*
+  FILE: themes.js
+  GROUP: Presentation / Theme manifests (headless, no DOM)
+
+  Notes:
+  - Un thème = un manifeste dans THEMES : variables CSS, icône du sélecteur, images du clicker
+    selon la vitesse de clic (base / medium / fast), musique et son de clic.
+    C'est la seule liste des thèmes (sélecteur, styles et images en sont tirés par script.js).
+  - Un asset absent du manifeste ou introuvable retombe, asset par asset, sur celui du thème
+    par défaut (DEFAULT_THEME), puis sur null (= garder ce que la page a déjà, ex. <audio id="music">).
+  - `createThemeLoader(checkAsset)` vérifie l'existence des fichiers avec la fonction fournie
+    (Image / Audio dans le navigateur, fs sous Node) et garde les réponses en cache.
+  - Audit sous Node : `node tools/audit-themes.js` échoue si un manifeste référence un fichier absent
+    de docs/ (casse comprise : GitHub Pages y est sensible).
+  - SAFE TO EDIT: ajouter un thème ou changer ses couleurs / fichiers (puis lancer l'audit),
+    son nom affiché est `theme.<id>` dans i18n.js.
+  - CAUTION: ne pas renommer un id de thème, il est enregistré dans les sauvegardes (state.theme).
+*/
+(function (root) {
+  'use strict';
+
+  const DEFAULT_THEME = 'normal';
+  const SPRITE_KINDS = ['base', 'medium', 'fast'];
+
+  /*
+   --- Manifests ---
+   { icon, vars: { '--name': value }, sprites: { base, medium, fast }, music, clickSound }
+   Paths are relative to docs/. Leave a slot out to use the default theme's file.
+  */
+  const THEMES = {
+    normal: {
+      icon: 'img/normal.png',
+      vars: { '--bg1': '#707070', '--bg2': '#a877e375', '--accent': '#b1b1b1' },
+      sprites: { base: 'img/sacha twerk.gif', medium: 'img/moyen.gif', fast: 'img/gif2.gif' },
+      music: null, // the page's <audio id="music">
+      clickSound: 'song/item-pickup.mp3',
+    },
+    feu: {
+      icon: 'img/feu.png',
+      vars: {
+        '--bg1': '#ff522fbb',
+        '--bg2': '#dd2476',
+        '--accent': 'linear-gradient(234deg, rgba(255,217,0,1) 0%, rgba(255,149,0,1) 23%, rgba(191,0,0,1) 68%, rgba(255,0,0,1) 87%)',
+      },
+      sprites: {}, // no fire sprites yet: default ones
+    },
+    glace: {
+      icon: 'img/Glace.png',
+      vars: {
+        '--bg1': '#00c6ff',
+        '--bg2': '#0072ff',
+        '--accent': 'linear-gradient(234deg, rgba(62,152,156,1) 0%, rgba(69,161,150,1) 17%, rgba(0,255,229,1) 54%, #fff)',
+      },
+      sprites: { base: 'img/Glace.png', medium: 'img/Glace.png', fast: 'img/Glace.png' },
+    },
+    BW: {
+      icon: 'img/BW.png',
+      vars: {
+        '--bg1': '#000',
+        '--bg2': '#888',
+        '--accent': 'linear-gradient(90deg, #000, #4a4a4a, #a8a8a8, #fff, #a8a8a8, #4a4a4a, #000)',
+      },
+      sprites: {}, // no black & white sprites yet: default ones
+    },
+  };
+
+  // Manifest of a theme id (unknown ids → default theme), with its id
+  function getTheme(id) {
+    const key = THEMES[id] ? id : DEFAULT_THEME;
+    return Object.assign({ id: key }, THEMES[key]);
+  }
+
+  // Every file a manifest references: [{ slot, path }] (slot: 'icon', 'sprites.fast', 'music'...)
+  function assetsOf(theme) {
+    const list = [];
+    if (theme.icon) list.push({ slot: 'icon', path: theme.icon });
+    SPRITE_KINDS.forEach(kind => {
+      const p = (theme.sprites || {})[kind];
+      if (p) list.push({ slot: `sprites.${kind}`, path: p });
+    });
+    if (theme.music) list.push({ slot: 'music', path: theme.music });
+    if (theme.clickSound) list.push({ slot: 'clickSound', path: theme.clickSound });
+    return list;
+  }
+
+  /*
+   Assets to use for a theme, given which files exist (isAvailable(path) → boolean).
+   Each slot falls back on its own: theme file → default theme file → null.
+   Returns { id, vars, sprites, music, clickSound, missing: [paths of the theme not found] }.
+  */
+  function resolveTheme(id, isAvailable = () => true) {
+    const theme = getTheme(id);
+    const base = getTheme(DEFAULT_THEME);
+    const missing = [];
+    const pick = (own, fallback) => {
+      if (own && isAvailable(own)) return own;
+      if (own) missing.push(own);
+      return fallback && isAvailable(fallback) ? fallback : null;
+    };
+
+    const sprites = {};
+    SPRITE_KINDS.forEach(kind => {
+      sprites[kind] = pick((theme.sprites || {})[kind], (base.sprites || {})[kind]);
+    });
+    return {
+      id: theme.id,
+      vars: Object.assign({}, base.vars, theme.vars),
+      icon: pick(theme.icon, base.icon),
+      sprites,
+      music: pick(theme.music, base.music),
+      clickSound: pick(theme.clickSound, base.clickSound),
+      missing: missing.filter((p, i) => missing.indexOf(p) === i),
+    };
+  }
+
+  /*
+   --- Loader ---
+   checkAsset(path) → boolean or Promise<boolean>. Each path is checked once.
+   load(id) → Promise of resolveTheme(id) with the checked files.
+  */
+  function createThemeLoader(checkAsset) {
+    const known = {}; // path → Promise<boolean>
+
+    function available(path) {
+      if (!path) return Promise.resolve(false);
+      if (!(path in known)) {
+        known[path] = Promise.resolve()
+          .then(() => checkAsset(path))
+          .then(Boolean, () => false);
+      }
+      return known[path];
+    }
+
+    async function load(id) {
+      const paths = assetsOf(getTheme(id)).concat(assetsOf(getTheme(DEFAULT_THEME))).map(a => a.path);
+      const found = {};
+      await Promise.all(paths.map(async p => { found[p] = await available(p); }));
+      return resolveTheme(id, p => found[p] === true);
+    }
+
+    return { available, load };
+  }
+
+  const PikaThemes = {
+    DEFAULT_THEME,
+    SPRITE_KINDS,
+    THEMES,
+    getTheme,
+    assetsOf,
+    resolveTheme,
+    createThemeLoader,
+  };
+
+  // Browser: global `PikaThemes` / Node: require('./themes.js')
+  if (typeof module !== 'undefined' && module.exports) module.exports = PikaThemes;
+  else root.PikaThemes = PikaThemes;
+})(typeof window !== 'undefined' ? window : globalThis);
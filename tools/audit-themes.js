@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/*
+  FILE: tools/audit-themes.js
+  GROUP: Presentation / Theme manifest audit (Node, no dependencies)
+
+  Notes:
+  - Vérifie que chaque fichier référencé par les manifestes de docs/themes.js existe dans docs/,
+    avec la même casse (img/glace.png ≠ img/Glace.png une fois en ligne).
+  - Usage :
+        node tools/audit-themes.js
+  - Code de sortie 0 si tout est trouvé, 1 sinon (utilisable en CI).
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const DOCS = path.join(__dirname, '..', 'docs');
+const PikaThemes = require(path.join(DOCS, 'themes.js'));
+
+// Exact-case lookup, segment by segment (existsSync ignores case on Windows / macOS)
+function existsExact(relPath) {
+  let dir = DOCS;
+  const parts = relPath.split('/');
+  for (const part of parts) {
+    let names;
+    try { names = fs.readdirSync(dir); } catch (e) { return false; }
+    if (!names.includes(part)) return false;
+    dir = path.join(dir, part);
+  }
+  return fs.statSync(dir).isFile();
+}
+
+function main() {
+  let missing = 0;
+  Object.keys(PikaThemes.THEMES).forEach(id => {
+    PikaThemes.assetsOf(PikaThemes.getTheme(id)).forEach(({ slot, path: file }) => {
+      if (existsExact(file)) return;
+      missing++;
+      console.log(`MISSING ${id}.${slot}: docs/${file}`);
+    });
+  });
+
+  const themes = Object.keys(PikaThemes.THEMES).length;
+  if (missing) {
+    console.log(`${missing} missing file(s) in ${themes} theme(s)`);
+    return 1;
+  }
+  console.log(`OK: ${themes} themes, every referenced file found`);
+  return 0;
+}
+
+process.exitCode = main();
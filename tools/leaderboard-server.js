@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/*
+  FILE: tools/leaderboard-server.js
+  GROUP: Leaderboard / Local REST stand-in (Node, no dependencies)
+
+  Notes:
+  - Petit serveur REST qui remplace le vrai classement en développement, sans réseau :
+        node tools/leaderboard-server.js [--port 8787] [--data scores.json]
+                                         [--latency 300] [--fail-rate 0.2] [--allow-legacy]
+    puis ouvrir le jeu avec ?leaderboard=rest (voir docs/config.js).
+  - Routes (même contrat que le provider REST de docs/leaderboard.js) :
+        GET  /health
+        GET  /scores?board=score&offset=0&limit=10           → { ok, total, entries: [{ rank, profileId, pseudo, value }] }
+        GET  /scores/around?board=score&profileId=p&radius=2 → { ok, total, rank, entries }
+        POST /scores { profileId, pseudo, score, log }       → { ok, rank } | { ok: false, reason, detail }
+    Classements (board) : score, timed, prestige, daily — voir BOARDS dans docs/leaderboard.js.
+  - Chaque envoi est vérifié en rejouant le journal de clics (docs/clicklog.js) : il doit suivre
+    le dernier envoi accepté du joueur (même head, même état de départ). Un premier envoi doit partir
+    d'une partie neuve, sauf avec --allow-legacy (joueurs qui avaient déjà un score avant le journal).
+    Les valeurs des classements (chrono, prestiges, défi du jour) sont lues dans l'état rejoué,
+    jamais dans ce qu'envoie le client.
+  - --latency et --fail-rate simulent un réseau lent ou en panne (réponses 503).
+  - --data garde les scores dans un fichier JSON entre deux lancements (sinon tout est en mémoire).
+*/
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const docs = path.join(__dirname, '..', 'docs');
+const PikaEngine = require(path.join(docs, 'engine.js'));
+const { verifyLog, GENESIS } = require(path.join(docs, 'clicklog.js'));
+const { statsOf, sortBoard, pageOf, aroundOf } = require(path.join(docs, 'leaderboard.js'));
+
+const MAX_BODY = 5 * 1024 * 1024; // click logs of long sessions are a few MB at most
+
+function parseArgs(argv) {
+  const opts = { port: 8787, data: null, latency: 0, failRate: 0, allowLegacy: false };
+  for (let i = 2; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': opts.port = Number(argv[++i]); break;
+      case '--data': opts.data = argv[++i]; break;
+      case '--latency': opts.latency = Number(argv[++i]); break;
+      case '--fail-rate': opts.failRate = Number(argv[++i]); break;
+      case '--allow-legacy': opts.allowLegacy = true; break;
+      default: throw new Error(`unknown option ${argv[i]}`);
+    }
+  }
+  return opts;
+}
+
+/*
+ --- Store ---
+ One record per profile: latest verified score and board values, plus the
+ head and end state of the last accepted log, which the next submission has to continue.
+*/
+function createStore(file) {
+  let players = {};
+  if (file && fs.existsSync(file)) players = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  function save() {
+    if (file) fs.writeFileSync(file, JSON.stringify(players, null, 2));
+  }
+
+  // Players of a board, best first
+  function ranking(board = 'score') {
+    return sortBoard(Object.values(players), board);
+  }
+
+  return {
+    get: (id) => players[id] || null,
+    put(record) { players[record.profileId] = record; save(); },
+    ranking,
+  };
+}
+
+/*
+ Checks one submission against the stored record of the player.
+ Returns { ok, record } or { ok: false, status, reason, detail }.
+*/
+function checkSubmission(body, store, opts) {
+  const bad = (reason, detail, status = 422) => ({ ok: false, status, reason, detail });
+  if (!body || typeof body.profileId !== 'string' || typeof body.pseudo !== 'string' || !body.log) {
+    return bad('format', 'profileId, pseudo, score et log sont obligatoires', 400);
+  }
+  if (body.log.pending) return bad('format', 'journal non clos (entrée en attente)', 400);
+
+  const known = store.get(body.profileId);
+  const res = verifyLog(body.log, {
+    prev: known ? known.head : GENESIS,
+    baseline: known ? known.state : (opts.allowLegacy ? undefined : PikaEngine.createDefaultState()),
+    score: body.score,
+    now: Date.now(),
+  });
+  if (!res.ok) return bad(res.reason, res.detail);
+
+  return {
+    ok: true,
+    record: Object.assign({
+      profileId: body.profileId,
+      pseudo: String(body.pseudo).slice(0, 40),
+      score: res.score.toJSON(),
+    }, statsOf(res.state), {
+      head: res.head,
+      state: JSON.parse(JSON.stringify(res.state)),
+      updatedAt: Date.now(),
+    }),
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new Error('body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function createServer(opts) {
+  const store = createStore(opts.data);
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (url.pathname === '/health') return send(res, 200, { ok: true });
+
+    // Simulated slow / broken network
+    if (opts.latency) await new Promise(r => setTimeout(r, opts.latency));
+    if (opts.failRate && Math.random() < opts.failRate) {
+      return send(res, 503, { ok: false, reason: 'unavailable', detail: 'panne simulée (--fail-rate)' });
+    }
+
+    const q = url.searchParams;
+    const board = q.get('board') || 'score';
+    if (url.pathname === '/scores' && req.method === 'GET') {
+      return send(res, 200, pageOf(store.ranking(board), board, q.get('offset'), q.get('limit')));
+    }
+
+    if (url.pathname === '/scores/around' && req.method === 'GET') {
+      return send(res, 200, aroundOf(store.ranking(board), board, q.get('profileId'), q.get('radius')));
+    }
+
+    if (url.pathname === '/scores' && req.method === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (e) {
+        return send(res, 400, { ok: false, reason: 'format', detail: e.message });
+      }
+      const check = checkSubmission(body, store, opts);
+      if (!check.ok) {
+        console.log(`rejected ${body && body.pseudo}: ${check.reason} (${check.detail})`);
+        return send(res, check.status, { ok: false, reason: check.reason, detail: check.detail });
+      }
+      store.put(check.record);
+      const rank = store.ranking().findIndex(p => p.profileId === check.record.profileId) + 1;
+      console.log(`accepted ${check.record.pseudo}: ${check.record.score} (rank ${rank})`);
+      return send(res, 200, { ok: true, rank });
+    }
+
+    return send(res, 404, { ok: false, reason: 'not-found' });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((e) => send(res, 500, { ok: false, reason: 'server', detail: e.message }));
+  });
+}
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv);
+  createServer(opts).listen(opts.port, () => {
+    console.log(`Leaderboard stand-in on http://localhost:${opts.port} (data: ${opts.data || 'memory'})`);
+  });
+}
+
+module.exports = { createServer, checkSubmission, createStore };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/*
+  FILE: tools/test-bignum.js
+  GROUP: Big numbers / Formatting checks (Node, no dependencies)
+
+  Notes:
+  - Vérifie l'affichage des grands nombres (docs/bignum.js format()) autour des limites
+    d'arrondi : un nombre arrondi à 1000 passe au suffixe suivant, une mantisse arrondie
+    à 10 passe à l'exposant suivant.
+  - Usage :
+        node tools/test-bignum.js
+  - Code de sortie 0 si tous les cas passent, 1 sinon.
+*/
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const BigNum = require(path.join(__dirname, '..', 'docs', 'bignum.js'));
+
+const format = BigNum.format;
+const scientific = x => format(x, { notation: 'scientific' });
+
+const cases = {
+  'values below the next suffix keep theirs'() {
+    assert.strictEqual(format(999994999), '999.99M');
+    assert.strictEqual(format(1e6), '1.00M');
+    assert.strictEqual(format(999999), '999 999');
+  },
+
+  'rounding up to 1000 moves to the next suffix'() {
+    assert.strictEqual(format(999999999), '1.00B');
+    assert.strictEqual(format(999995000), '1.00B');
+    assert.strictEqual(format(-999999999), '-1.00B');
+    assert.strictEqual(format(999999999, { digits: 0 }), '1B');
+    assert.strictEqual(format(999999999, { locale: 'fr-FR' }), '1,00B');
+    assert.strictEqual(format(BigNum.from('9.999999e14')), '1.00aa');
+  },
+
+  'rounding the mantissa up to 10 moves to the next exponent'() {
+    assert.strictEqual(scientific(999999999), '1.00e9');
+    assert.strictEqual(scientific(999994999), '1.00e9');
+    assert.strictEqual(scientific(BigNum.from('9.9999e42')), '1.00e43');
+    assert.strictEqual(scientific(BigNum.from('9.994e42')), '9.99e42');
+  },
+
+  'past the last suffix, the scientific fallback rounds the same way'() {
+    assert.strictEqual(format(BigNum.from('1e2040')), '1.00zz');
+    assert.strictEqual(format(BigNum.from('9.99999e2042')), '1.00e2043');
+  },
+};
+
+let failed = 0;
+Object.keys(cases).forEach(name => {
+  try {
+    cases[name]();
+    console.log(`ok   ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`FAIL ${name}: ${e.message}`);
+  }
+});
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/*
+  FILE: tools/test-clicklog.js
+  GROUP: Leaderboard / Click log checks (Node, no dependencies)
+
+  Notes:
+  - Rejoue des parties enregistrées par le journal de clics (docs/clicklog.js) avec verifyLog(),
+    dans l'ordre où script.js appelle le moteur (chargement, gain hors-ligne, jeu).
+  - Usage :
+        node tools/test-clicklog.js
+  - Code de sortie 0 si tous les cas passent, 1 sinon.
+*/
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const PikaEngine = require(path.join(__dirname, '..', 'docs', 'engine.js'));
+const PikaClickLog = require(path.join(__dirname, '..', 'docs', 'clicklog.js'));
+
+const HOUR = 60 * 60 * 1000;
+
+// Fake clock shared by Date.now (the recorder) and the engine
+let clock = Date.parse('2026-01-05T12:00:00Z');
+Date.now = () => clock;
+
+// A game loaded from `saved` (plain state), with its click log and engine wired like script.js
+function load(saved) {
+  const state = PikaEngine.reviveState(Object.assign(PikaEngine.createDefaultState(), saved));
+  const clickLog = PikaClickLog.createClickLog();
+  const engine = clickLog.attach(PikaEngine.createEngine({ state, seed: 42, now: clickLog.now }));
+  return { state, clickLog, engine };
+}
+
+function play(engine, seconds) {
+  for (let i = 0; i < seconds; i++) {
+    clock += 1000;
+    engine.click();
+    engine.tick(1000);
+  }
+}
+
+// First UTC day from the fake clock on whose daily challenge is of `type`
+function dayOfType(type) {
+  for (let t = clock; ; t += 24 * HOUR) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    if (PikaEngine.dailyFor(day).type === type) return day;
+  }
+}
+
+// A new game with the daily challenge of `type` rolled and started
+function startDaily(type) {
+  const game = load({ score: 0 });
+  game.clickLog.rebase(game.state, game.engine.rng);
+  const day = dayOfType(type);
+  clock = Date.parse(`${day}T12:00:00Z`);
+  assert.ok(game.engine.rollDaily(day).ok && game.engine.startDaily().ok, 'daily started');
+  return game;
+}
+
+function verify(game) {
+  return PikaClickLog.verifyLog(game.clickLog.submission(), { score: game.state.score.toJSON() });
+}
+
+const cases = {
+  // Save made before the click log existed: no log to restore, then two hours of offline income
+  'save without a log, then offline credit'() {
+    const game = load({ score: 5000, autoClickers: 10, multiplier: 2 });
+    const lastSeen = clock - 2 * HOUR;
+    const res = game.clickLog.restore(null, game.state, game.engine.rng);
+    assert.strictEqual(res.reason, 'missing');
+
+    // script.js creditOfflineProgress(lastSeen, false): credit, then start over from the credited state
+    const offline = game.engine.applyOffline(lastSeen);
+    assert.ok(!offline.gain.isZero(), 'offline income credited');
+    game.clickLog.rebase(game.state, game.engine.rng);
+    play(game.engine, 10);
+
+    const check = verify(game);
+    assert.ok(check.ok, `verifyLog: ${check.reason} ${check.detail}`);
+  },
+
+  // Without the restart, the absence looks longer than the log itself
+  'offline credit recorded in a log started on load is rejected'() {
+    const game = load({ score: 5000, autoClickers: 10 });
+    game.clickLog.restore(null, game.state, game.engine.rng);
+    game.engine.applyOffline(clock - 2 * HOUR);
+
+    const check = verify(game);
+    assert.strictEqual(check.reason, 'offline');
+  },
+
+  // Saved log resumed on load: the absence lies between two of its entries and is recorded
+  'resumed log, then offline credit'() {
+    const first = load({ score: 0, autoClickers: 10 });
+    first.clickLog.rebase(first.state, first.engine.rng);
+    play(first.engine, 10);
+    const saved = first.clickLog.serialize();
+    const savedState = JSON.parse(JSON.stringify(first.state));
+    const lastSeen = clock;
+
+    clock += 2 * HOUR;
+    const game = load(savedState);
+    assert.ok(game.clickLog.restore(saved, game.state, game.engine.rng).ok, 'log resumed');
+    game.engine.applyOffline(lastSeen);
+    play(game.engine, 10);
+
+    const check = verify(game);
+    assert.ok(check.ok, `verifyLog: ${check.reason} ${check.detail}`);
+  },
+
+  // A batch left open is outside the hash chain: a click added there must not count
+  'log with a pending entry is rejected'() {
+    const game = load({ score: 0 });
+    game.clickLog.rebase(game.state, game.engine.rng);
+    play(game.engine, 10);
+    const sub = game.clickLog.submission();
+    sub.pending = ['c', sub.entries[sub.entries.length - 1][1] + 1000, 1, 0];
+
+    const check = PikaClickLog.verifyLog(sub);
+    assert.strictEqual(check.reason, 'format');
+  },
+
+  // Clicks slower than the best second of a cps challenge: replayed together they would count at once
+  'clicks during a cps daily challenge'() {
+    const game = startDaily('cps');
+    for (let i = 0; i < 20; i++) {
+      clock += 400;
+      game.engine.click();
+    }
+    assert.strictEqual(game.state.daily.progress, 3);
+
+    const check = verify(game);
+    assert.ok(check.ok, `verifyLog: ${check.reason} ${check.detail}`);
+    assert.strictEqual(check.state.daily.progress, game.state.daily.progress);
+  },
+
+  // Clicks on both sides of the end of a daily challenge: only those up to it count
+  'clicks across the end of a daily challenge'() {
+    const game = startDaily('clicks');
+    clock = game.state.daily.expiresAt - 2000;
+    for (let i = 0; i < 4; i++) {
+      clock += 1000;
+      game.engine.click();
+    }
+    assert.strictEqual(game.state.daily.progress, 2);
+
+    const check = verify(game);
+    assert.ok(check.ok, `verifyLog: ${check.reason} ${check.detail}`);
+    assert.strictEqual(check.state.daily.progress, game.state.daily.progress);
+  },
+};
+
+let failed = 0;
+Object.keys(cases).forEach(name => {
+  try {
+    cases[name]();
+    console.log(`ok   ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`FAIL ${name}: ${e.message}`);
+  }
+});
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/*
+  FILE: tools/verify-log.js
+  GROUP: Leaderboard / Click log verifier (Node, no dependencies)
+
+  Notes:
+  - Rejoue un journal de clics (docs/clicklog.js) avec les règles du jeu et dit si le score est possible.
+  - Usage :
+        node tools/verify-log.js submission.json [--prev <head>] [--baseline state.json]
+    submission.json : { "score": ..., "log": {...} } (envoi au classement) ou directement un journal.
+    --prev / --baseline : head et état du dernier envoi accepté pour ce joueur.
+  - Code de sortie 0 si le journal est valide, 1 sinon (utilisable par un backend ou en CI).
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { verifyLog } = require(path.join(__dirname, '..', 'docs', 'clicklog.js'));
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const opts = {};
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--prev' || args[i] === '--baseline') opts[args[i].slice(2)] = args[++i];
+    else file = args[i];
+  }
+  if (!file) {
+    console.error('Usage: node tools/verify-log.js submission.json [--prev <head>] [--baseline state.json]');
+    return 2;
+  }
+
+  const input = readJSON(file);
+  const log = input.log || input;
+  const res = verifyLog(log, {
+    score: input.log ? input.score : undefined,
+    prev: opts.prev,
+    baseline: opts.baseline ? readJSON(opts.baseline) : undefined,
+  });
+
+  if (!res.ok) {
+    console.log(`REJECTED (${res.reason}): ${res.detail}`);
+    return 1;
+  }
+  console.log(`OK: score ${res.score}, ${log.entries.length} entries, head ${res.head}`);
+  if (!res.baselineTrusted) console.log('note: starting state not checked (no --baseline given)');
+  return 0;
+}
+
+process.exitCode = main(process.argv);